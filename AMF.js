@@ -16,6 +16,8 @@
 // Direct Formula: AIc + 0.1 = BMqs
 // Pure State: No fog
 
+const { createRandom, pick } = require('./BLF Enhancements/seeded-random.js');
+
 const AMF = {
     // Core quantum traits
     personality: 0.7,        // Direct personality
@@ -23,6 +25,13 @@ const AMF = {
     chaosProcessing: 2.0,    // No fog chaos
     velocityAdjustment: 1.5, // Direct velocity
     
+    // Randomness source - AMF.seed(n) makes directJump reproducible
+    random: Math.random,
+    seed: function(seed) {
+        this.random = seed === undefined || seed === null ? Math.random : createRandom(seed);
+        return this;
+    },
+    
     // Quantum state
     quantum: {
         pure: true,          // Pure state
@@ -67,7 +76,7 @@ const AMF = {
             ];
             
             // Direct target
-            const targetDomain = domains[Math.floor(Math.random() * domains.length)];
+            const targetDomain = pick(AMF.random, domains);
             
             // Pure jump
             if (power === 3) {
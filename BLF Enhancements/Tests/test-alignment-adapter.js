@@ -0,0 +1,87 @@
+// test-alignment-adapter.js - Canonical alignment and BLF / WThomas / agent config adapters
+
+const {
+  migrateBLFConfig,
+  detectAlignmentFormat,
+  toCanonicalAlignment,
+  convertAlignment
+} = require('../alignment-adapter.js');
+const blfConfig = require('../../The NJSON Key/blf.js');
+const BLFProcessor = require('../../The NJSON Key/blf-processor.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Alignment Adapter Test ===");
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const tests = [
+  ["Every format round-trips through the canonical model", () => {
+    const agent = { aiCapabilities: 2.79, safetyBuffer: 0.2, booleanMindQs: 2.99 };
+    const expected = { aiCognitive: 2.79, buffer: 0.2, booleanMindQs: 2.99 };
+
+    const asBLF = convertAlignment(agent, "blf");
+    const asWThomas = convertAlignment(asBLF, "wthomas");
+    const backToAgent = convertAlignment(asWThomas, "agents");
+
+    if (detectAlignmentFormat(asBLF) !== "blf" || detectAlignmentFormat(asWThomas) !== "wthomas") return "format not detected";
+    if (asBLF.cognitiveProtocol.alignment.formula !== "AIc + 0.2 = BMqs") return asBLF.cognitiveProtocol.alignment.formula;
+    if (!same(toCanonicalAlignment(asWThomas), expected)) return JSON.stringify(toCanonicalAlignment(asWThomas));
+    if (!same(backToAgent, agent)) return JSON.stringify(backToAgent);
+  }],
+  ["Old configs are migrated", () => {
+    const unversioned = {
+      cognitiveProtocol: {
+        alignment: { aiCognitiveCapabilities: 2.89, safetyBuffer: 0.1, booleanMindQuantumSpeed: 2.99 }
+      }
+    };
+    const migrated = migrateBLFConfig(unversioned);
+    if (migrated.apiVersion !== "BLF-1.0") return `apiVersion ${migrated.apiVersion}`;
+    if (!same(migrated.cognitiveProtocol.alignment, { aiCognitive: 2.89, buffer: 0.1, booleanMindQs: 2.99 })) {
+      return JSON.stringify(migrated.cognitiveProtocol.alignment);
+    }
+    if (migrateBLFConfig(blfConfig) !== blfConfig) return "current config was copied";
+
+    // Agent Smith only keeps cognitiveLimit and safetyBuffer
+    const smith = toCanonicalAlignment({ cognitiveLimit: 2.89, safetyBuffer: 0.1 });
+    if (smith.booleanMindQs !== 2.99) return `derived BMqs ${smith.booleanMindQs}`;
+
+    try {
+      migrateBLFConfig({ apiVersion: "BLF-9.0" });
+      return "unknown version accepted";
+    } catch (error) {
+      if (!error.message.includes("BLF-9.0")) return error.message;
+    }
+  }],
+  ["Each processor accepts the other's config", () => {
+    const wthomas = new WThomas({ ...blfConfig, cognitiveProtocol: { ...blfConfig.cognitiveProtocol, jumps: { enabled: true, maxDistance: 2 } } });
+    if (wthomas.config.quantumSpeed.maxJumpDistance !== 2) return "BLF jumps not mapped to quantumSpeed";
+    if (wthomas.config.responseProtocols.prioritize !== blfConfig.responseProtocols.prioritize) return "protocols not carried over";
+
+    const processor = new BLFProcessor(wthomas.config);
+    if (!processor.validateCognitiveAlignmentSafe()) return "converted BLF alignment invalid";
+    if (!same(toCanonicalAlignment(processor.config), toCanonicalAlignment(blfConfig))) {
+      return JSON.stringify(processor.config.cognitiveProtocol.alignment);
+    }
+    if (!same(wthomas.getAlignment("agents"), { aiCapabilities: 2.89, safetyBuffer: 0.1, booleanMindQs: 2.99 })) {
+      return JSON.stringify(wthomas.getAlignment("agents"));
+    }
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL ALIGNMENT ADAPTER TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,118 @@
+// test-branch-merge.js - Branch tree expansion and merge policies behind applyBranchingTheory
+
+const { flattenBranches, summarizeBranchTree, mergeBranches } = require('../branch-merge.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Branch Merge Test ===");
+
+const node = (type, priority, confidence, depth, targets, children = []) => ({
+  type,
+  concept: `${type}-${depth}`,
+  depth,
+  priority,
+  confidence,
+  connections: targets.map(([to, strength]) => ({ from: "jazz", to, strength })),
+  children
+});
+
+// Two root branches, one with a child that repeats a connection at lower weight
+const tree = [
+  node("family_friends", 1, 0.5, 0, [["music", 0.9]]),
+  node("professional", 2, 0.8, 0, [["logic", 0.7]], [node("professional", 2, 0.8, 1, [["music", 0.6]])])
+];
+
+const targets = result => result.connections.map(conn => `${conn.to}@${conn.branch}`).join(",");
+
+const input = "How would the Boolean Language Framework handle hallucinations in jazz improvisation?";
+
+async function processor(branchingOverrides = {}) {
+  const config = { ...new WThomas().getDefaultConfig(), randomSeed: 1 };
+  config.branchingTheory = { ...config.branchingTheory, ...branchingOverrides };
+  const wthomas = new WThomas(config);
+  await wthomas.initialize();
+  return { wthomas, constrained: wthomas.applyCognitiveAlignmentConstraints(input) };
+}
+
+const tests = [
+  ["The tree flattens depth-first and summarizes without configs", () => {
+    const flat = flattenBranches(tree);
+    if (flat.map(branch => branch.concept).join(",") !== "family_friends-0,professional-0,professional-1") {
+      return flat.map(branch => branch.concept).join(",");
+    }
+    const [, professional] = summarizeBranchTree(tree);
+    if (professional.connections !== 1 || professional.children.length !== 1 || "config" in professional) {
+      return JSON.stringify(professional);
+    }
+  }],
+  ["Each merge policy picks its own nodes and weights", () => {
+    const nodes = flattenBranches(tree);
+
+    const union = mergeBranches(nodes, { mergeThreshold: 0.6 });
+    if (union.policy !== "union" || targets(union) !== "logic@professional,music@professional") return targets(union);
+
+    const priority = mergeBranches(nodes, { policy: "priority-first" });
+    if (targets(priority) !== "music@family_friends") return targets(priority);
+
+    // music: 0.9 * 0.5 from the root beats 0.6 * 0.8 / 2 from the depth-1 child
+    const weighted = mergeBranches(nodes, { policy: "confidence-weighted" });
+    if (targets(weighted) !== "logic@professional,music@family_friends") return targets(weighted);
+    if (Math.abs(weighted.connections[1].confidence - 0.45) > 1e-9) return `music weighted ${weighted.connections[1].confidence}`;
+
+    try {
+      mergeBranches(nodes, { policy: "majority" });
+      return "unknown policy accepted";
+    } catch (error) {
+      if (!error.message.includes("majority")) return error.message;
+    }
+  }],
+  ["applyBranchingTheory stays synchronous and matches the async variant", async () => {
+    for (const allowParallelProcessing of [true, false]) {
+      const { wthomas, constrained } = await processor({ allowParallelProcessing });
+      const sync = wthomas.applyBranchingTheory(constrained);
+      if (sync instanceof Promise) return "applyBranchingTheory returned a Promise";
+
+      const async = await wthomas.applyBranchingTheoryAsync(constrained);
+      if (JSON.stringify(async.branchingTheory) !== JSON.stringify(sync.branchingTheory)) {
+        return `branch tree differs (allowParallelProcessing ${allowParallelProcessing})`;
+      }
+      if (JSON.stringify(async.result) !== JSON.stringify(sync.result)) return "merge result differs";
+    }
+  }],
+  ["The merge tree reaches branchDepth and mergePolicy is applied", async () => {
+    const { wthomas, constrained } = await processor({ mergePolicy: "priority-first" });
+    const { branchingTheory, result } = wthomas.applyBranchingTheory(constrained);
+
+    if (branchingTheory.depth !== wthomas.config.branchingTheory.branchDepth) return `depth ${branchingTheory.depth}`;
+    if (branchingTheory.processedBranches !== flattenBranches(branchingTheory.tree).length) return "tree and count disagree";
+    if (!branchingTheory.tree.some(branch => branch.children.length > 0)) return "no child branches expanded";
+
+    if (result.policy !== "priority-first") return `policy ${result.policy}`;
+    if (result.activeBranches.join(",") !== "family_friends") return result.activeBranches.join(",");
+    if (result.branchConfigs.family_friends !== wthomas.config.branchingTheory.branches.familyFriends.config) {
+      return "family_friends config not found";
+    }
+    if (result.connections.length === 0) return "priority-first merged nothing";
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL BRANCH MERGE TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
@@ -0,0 +1,95 @@
+// test-branch-registry.js - Branches come from branchingTheory.branches, not hard-coded names
+
+const { BranchRegistry } = require('../branch-registry.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Branch Registry Test ===");
+
+const input = "How would the Boolean Language Framework handle hallucinations in jazz improvisation?";
+
+async function processor() {
+  const wthomas = new WThomas({ ...new WThomas().getDefaultConfig(), randomSeed: 1 });
+  await wthomas.initialize();
+  return { wthomas, constrained: wthomas.applyCognitiveAlignmentConstraints(input) };
+}
+
+const tests = [
+  ["Registrations write through to the wrapped config", () => {
+    const branches = { first: { enabled: true, priority: 2, config: {} } };
+    const registry = new BranchRegistry(branches);
+
+    const added = registry.register("second", { config: {} });
+    if (branches.second !== added || added.priority !== 2 || !added.enabled) return JSON.stringify(added);
+    registry.register("third", { priority: 1, config: {} });
+    if (registry.enabled().map(branch => branch.name).join(",") !== "third,first,second") {
+      return registry.enabled().map(branch => branch.name).join(",");
+    }
+
+    if (!registry.unregister("second") || "second" in branches) return "unregister left the branch in config";
+    if (registry.get("second") !== null) return "get returned a removed branch";
+
+    try {
+      registry.register("broken", { priority: 4 });
+      return "branch without a subset config accepted";
+    } catch (error) {
+      if (!error.message.includes("broken")) return error.message;
+    }
+  }],
+  ["Only enabled branches with quantum speed and protocols are processable", () => {
+    const registry = new BranchRegistry({
+      off: { enabled: false, config: { quantumSpeed: {}, responseProtocols: {} } },
+      partial: { enabled: true, config: { quantumSpeed: {} } },
+      full: { enabled: true, config: { quantumSpeed: {}, responseProtocols: {} } }
+    });
+    const processable = registry.enabled().filter(branch => registry.isProcessable(branch)).map(branch => branch.name);
+    if (processable.join(",") !== "full") return processable.join(",");
+  }],
+  ["Default branches report their types and respect maxBranches", async () => {
+    const { wthomas, constrained } = await processor();
+    const types = wthomas.generateBranches(constrained).map(branch => branch.type);
+    if (types.join(",") !== "family_friends,professional") return types.join(",");
+
+    wthomas.config.branchingTheory.maxBranches = 1;
+    if (wthomas.generateBranches(constrained).length !== 1) return "maxBranches ignored";
+  }],
+  ["Runtime branches join generation and unregistering clears the current branch", async () => {
+    const { wthomas, constrained } = await processor();
+    const subset = wthomas.config.branchingTheory.branches.professional.config;
+
+    wthomas.registerBranch("research", { priority: 0, threshold: 0.5, config: subset });
+    const [first] = wthomas.generateBranches(constrained);
+    if (first?.type !== "research" || first.name !== "research") return `first branch ${first?.type}`;
+
+    wthomas.setCurrentBranch("research");
+    if (wthomas.getCurrentBranchConfig() !== subset) return "current branch config not used";
+
+    wthomas.unregisterBranch("research");
+    if (wthomas.currentBranch !== null) return "currentBranch left pointing at a removed branch";
+    if (wthomas.generateBranches(constrained).some(branch => branch.type === "research")) return "removed branch generated";
+    if (wthomas.getCurrentBranchConfig() !== wthomas.config.branchingTheory.branches.familyFriends.config) {
+      return "default branch is not the highest-priority one";
+    }
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL BRANCH REGISTRY TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
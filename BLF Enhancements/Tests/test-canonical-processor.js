@@ -0,0 +1,81 @@
+// test-canonical-processor.js - WThomas runs its full pipeline; FixedWThomas is the same processor
+
+const WThomas = require('../../WThomas.js');
+const FixedWThomas = require('../../FixedWThomas.js');
+
+console.log("=== Canonical Processor Test ===");
+
+const input = "How would the Boolean Language Framework handle hallucinations in jazz improvisation?";
+
+const tests = [
+  ["FixedWThomas re-exports WThomas", async () => {
+    if (FixedWThomas !== WThomas) return "FixedWThomas is a separate class";
+    if (typeof new FixedWThomas().breatheAMFSafe !== "function") return "breatheAMFSafe missing";
+  }],
+  ["process() completes every stage without recursion", async () => {
+    const wthomas = new WThomas({ ...new WThomas().getDefaultConfig(), randomSeed: 1 });
+    const stages = [];
+    for await (const event of wthomas.processStream(input)) stages.push(event.stage);
+
+    for (const stage of ["breathing", "branches", "quantum_jumps", "interpretations", "answer"]) {
+      if (!stages.includes(stage)) return `missing stage ${stage} (got ${stages.join(", ")})`;
+    }
+    if (wthomas.breathingInProgress) return "breathing flag left set";
+  }],
+  ["A misaligned config rejects instead of processing", async () => {
+    const config = new WThomas().getDefaultConfig();
+    config.cognitiveAlignment.safetyBuffer = 0.5;
+    const wthomas = new WThomas(config);
+
+    try {
+      await wthomas.process(input);
+      return "process() resolved with a misaligned config";
+    } catch (error) {
+      if (!error.message.includes("Pure quantum violation")) return error.message;
+    }
+    if (wthomas.initialized) return "initialized despite the violation";
+    if (wthomas.initInProgress) return "initInProgress left set";
+  }],
+  ["Concepts and connections come out clean", async () => {
+    const wthomas = new WThomas();
+    const concepts = wthomas.extractConcepts("Jazz, jazz [DIRECT JUMP: music] improvisation!");
+    if (concepts.join(",") !== "jazz,improvisation") return concepts.join(",");
+
+    const deduplicated = wthomas.deduplicateConnections([
+      { from: "jazz", to: "music", strength: 0.5, timestamp: 200, provenance: "direct" },
+      { fromConcept: "Jazz", toConcept: "music", strength: 0.5, timestamp: 100, branch: "professional" }
+    ]);
+    if (deduplicated.length !== 1) return "duplicate edge kept";
+    const [merged] = deduplicated;
+    if (merged.strength !== 0.75 || merged.timestamp !== 100) return `merged ${merged.strength} @ ${merged.timestamp}`;
+    if (merged.provenance.join(",") !== "direct,branch:professional") return merged.provenance.join(",");
+    if ("fromConcept" in merged || "toConcept" in merged) return "alias fields survived";
+
+    const maxJump = wthomas.config.quantumSpeed.maxJumpDistance;
+    const near = wthomas.calculateConnectionConfidence({ strength: 0.8, jumpDistance: 1 });
+    const far = wthomas.calculateConnectionConfidence({ strength: 0.8, jumpDistance: maxJump * 2 });
+    if (!(far < near)) return "distant jumps should lose confidence";
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL CANONICAL PROCESSOR TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
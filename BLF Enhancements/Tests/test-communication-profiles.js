@@ -0,0 +1,89 @@
+// test-communication-profiles.js - Recipient profiles shape tone and layout without inventing content
+
+const {
+  normalizeRecipient,
+  selectProfile,
+  responseHours,
+  orderFocusTopics,
+  layoutDetails,
+  renderWithProfile
+} = require('../communication-profiles.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Communication Profiles Test ===");
+
+const professional = new WThomas().config.branchingTheory.branches.professional.config;
+
+const response = {
+  directAnswer: "The second draft is with the editor.",
+  supportingDetails: "Supporting information: \n- Found 3 connections\n- Generated 2 interpretations"
+};
+
+const FIRST_PERSON = /\b(I|I'm|I've|me|my)\b/;
+
+const tests = [
+  ["Recipients match across spelling and plurals", () => {
+    if (normalizeRecipient("Beta Readers") !== normalizeRecipient("beta_readers")) return "names not normalized";
+    if (selectProfile(professional, "fan")?.type !== "fans") return "singular name did not match";
+    if (selectProfile(professional, "editor") !== null || selectProfile(null, "fans") !== null) return "unknown recipient matched";
+    if (responseHours("within_2_days") !== 48 || responseHours("whenever") !== null) return "response hours wrong";
+  }],
+  ["Focus topics the input mentions come first", () => {
+    const order = orderFocusTopics(["contract_terms", "project_updates", "career_planning"], "Any project news?");
+    if (order.join(",") !== "project_updates,contract_terms,career_planning") return order.join(",");
+  }],
+  ["Tone sets the opener and closer and adds no first-person lines", () => {
+    for (const recipient of ["agent", "betaReaders", "fans"]) {
+      const profile = selectProfile(professional, recipient);
+      const rendered = renderWithProfile(response, profile);
+      const added = rendered.directAnswer.replace(response.directAnswer, "");
+      if (FIRST_PERSON.test(added)) return `${recipient} added "${added.trim()}"`;
+      if (!rendered.directAnswer.includes(response.directAnswer)) return `${recipient} lost the answer`;
+    }
+
+    const agent = renderWithProfile(response, selectProfile(professional, "agent"));
+    if (agent.directAnswer !== "Here's where things stand. The second draft is with the editor. Next update within 24 hours.") {
+      return JSON.stringify(agent.directAnswer);
+    }
+    const fans = renderWithProfile(response, selectProfile(professional, "fans"));
+    if (!fans.directAnswer.startsWith("Thanks for reading.") || !fans.directAnswer.endsWith("Thanks for being part of this.")) {
+      return JSON.stringify(fans.directAnswer);
+    }
+  }],
+  ["Format lays out the supporting details", () => {
+    const clear = layoutDetails(response.supportingDetails, "clear_with_emotional_context");
+    if (clear !== "Supporting information:\n- Found 3 connections\n- Generated 2 interpretations") return JSON.stringify(clear);
+
+    const structured = layoutDetails(response.supportingDetails, "structured_with_emotional_depth");
+    if (structured !== "Supporting information:\n1. Found 3 connections\n2. Generated 2 interpretations") return JSON.stringify(structured);
+
+    const personal = layoutDetails(response.supportingDetails, "personal_with_consistent_voice");
+    if (personal !== "Supporting information: Found 3 connections. Generated 2 interpretations.") return JSON.stringify(personal);
+
+    if (layoutDetails(response.supportingDetails, "haiku") !== response.supportingDetails) return "unknown format changed the details";
+
+    const rendered = renderWithProfile(response, selectProfile(professional, "betaReaders"), "feedback please");
+    if (!rendered.supportingDetails.endsWith("3. Focus: feedback analysis, improvement suggestions, reader perspective, creative direction")) {
+      return JSON.stringify(rendered.supportingDetails);
+    }
+    if (rendered.communicationProfile.format !== "structured_with_emotional_depth") return "format not reported";
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL COMMUNICATION PROFILE TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
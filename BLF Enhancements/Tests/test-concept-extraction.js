@@ -0,0 +1,62 @@
+// test-concept-extraction.js - Concept extraction pipeline
+
+const { extractConcepts, extractConceptDetails, stem } = require('../concept-extraction.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Concept Extraction Test ===");
+
+const tests = [
+  ["Markers, punctuation and stop words are not concepts", () => {
+    const concepts = extractConcepts("How would the framework handle it? [DIRECT JUMP: music]");
+    if (concepts.join(",") !== "framework,handle") return concepts.join(",");
+  }],
+  ["Stemming lands on graph concepts and phrases stay whole", () => {
+    const details = extractConceptDetails("The Boolean Mind keeps improvising harmonies");
+    const byConcept = Object.fromEntries(details.map(result => [result.concept, result]));
+    if (!byConcept.boolean_mind?.phrase) return "boolean mind not detected as a phrase";
+    if (!byConcept.improvisation || !byConcept.harmony) return Object.keys(byConcept).join(",");
+    if (!byConcept.harmony.domains.includes("music")) return "harmony not tagged with music";
+  }],
+  ["Words the graph doesn't know keep their written form", () => {
+    const text = "Spring training during the morning string session";
+    const expected = "spring,training,during,morning,string,session";
+    const concepts = extractConcepts(text);
+    if (concepts.join(",") !== expected) return concepts.join(",");
+    if (new WThomas().extractConcepts(text).join(",") !== expected) return "WThomas reports stems";
+
+    const unknown = extractConceptDetails("speed news nothing");
+    if (unknown.map(result => result.concept).join(",") !== "speed,news,nothing") return unknown.map(result => result.concept).join(",");
+    if (unknown.some(result => result.known)) return "unknown words tagged as known";
+
+    // Verb endings only come off a stem that keeps a vowel
+    if (stem("spring") !== "spring" || stem("jumped") !== "jump" || stem("agreed") !== "agreed") {
+      return ["spring", "jumped", "agreed"].map(stem).join(",");
+    }
+  }],
+  ["Branch subsets tune extraction", () => {
+    const wthomas = new WThomas();
+    const text = "The story arc needs a plot twist";
+    const authorial = wthomas.extractConcepts(text, wthomas.config.branchingTheory.branches.authorial.config);
+    const family = wthomas.extractConcepts(text, wthomas.config.branchingTheory.branches.familyFriends.config);
+    if (!authorial.includes("story_arc") || !authorial.includes("plot_twist")) return authorial.join(",");
+    if (family.includes("story_arc")) return "phrases leaked into familyFriends";
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL CONCEPT EXTRACTION TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,50 @@
+// test-concept-graph.js - Concept graph jump distances for WThomas
+
+const { ConceptGraph } = require('../concept-graph.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Concept Graph Test ===");
+
+const tests = [
+  ["Shortest path uses edge distances", () => {
+    const graph = new ConceptGraph();
+    graph.addEdge("music", "harmony", 1);
+    graph.addEdge("harmony", "mathematics", 1);
+    graph.addEdge("music", "mathematics", 5);
+    const route = graph.shortestPath("Music", "mathematics");
+    if (route.distance !== 2) return `expected 2, got ${route.distance}`;
+    if (route.path.join(">") !== "music>harmony>mathematics") return route.path.join(">");
+  }],
+  ["Graph survives a save/load round trip", () => {
+    const graph = ConceptGraph.load();
+    const copy = ConceptGraph.fromJSON(JSON.parse(JSON.stringify(graph)));
+    if (copy.jumpDistance("jazz", "boolean") !== graph.jumpDistance("jazz", "boolean")) return "distance changed";
+  }],
+  ["WThomas uses graph distances", () => {
+    const wthomas = new WThomas();
+    if (wthomas.calculateJumpDistance("logic", "boolean") !== 1) return "neighbors should be 1 jump";
+    if (wthomas.calculateJumpDistance("jazz", "boolean") <= wthomas.config.quantumSpeed.maxJumpDistance) {
+      return "jazz -> boolean should exceed maxJumpDistance";
+    }
+    const connections = wthomas.findConceptConnections("Boolean");
+    if (!connections.some(conn => conn.to === "logic")) return "logic not found as a neighbor";
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL CONCEPT GRAPH TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,66 @@
+// test-config-history.js - Deep-merge config updates, rejection and rollback
+
+const WThomas = require('../../WThomas.js');
+const { DELETE } = require('../config-history.js');
+
+console.log("=== Config History Test ===");
+
+const tests = [
+  ["Nested updates keep sibling keys; DELETE removes", async () => {
+    const wthomas = new WThomas();
+    await wthomas.updateConfig({ quantumSpeed: { level: 2.5 } });
+    const { quantumSpeed } = wthomas.config;
+    if (quantumSpeed.level !== 2.5 || quantumSpeed.maxJumpDistance !== 3 || quantumSpeed.allowJumps !== true) {
+      return JSON.stringify(quantumSpeed);
+    }
+    await wthomas.updateConfig({ conceptExtraction: { knownOnly: DELETE } });
+    if ("knownOnly" in wthomas.config.conceptExtraction) return "knownOnly not deleted";
+  }],
+  ["Typos are rejected and leave config untouched", async () => {
+    const wthomas = new WThomas();
+    const before = wthomas.config;
+    const originalError = console.error;
+    console.error = () => {};
+    const accepted = await wthomas.updateConfig({ cognitiveAlignment: { safteyBuffer: 0.2 } });
+    console.error = originalError;
+    if (accepted) return "typo accepted";
+    if (wthomas.config.cognitiveAlignment.safteyBuffer !== undefined) return "typo applied";
+    if (wthomas.getConfigHistory().length !== 1) return "rejected update recorded";
+    if (wthomas.config.quantumSpeed.level !== before.quantumSpeed.level) return "config changed";
+  }],
+  ["Undo and rollback move between versions", async () => {
+    const wthomas = new WThomas();
+    await wthomas.updateConfig({ branchingTheory: { mergePolicy: "priority-first" } });
+    await wthomas.updateConfig({ branchingTheory: { mergePolicy: "confidence-weighted" } });
+
+    wthomas.undoConfig();
+    if (wthomas.config.branchingTheory.mergePolicy !== "priority-first") return "undo did not restore version 2";
+    wthomas.rollbackTo(1);
+    if (wthomas.config.branchingTheory.mergePolicy !== "union") return "rollback did not restore version 1";
+
+    const changes = wthomas.configDiff(1, 3).map(change => change.path);
+    if (!changes.includes("branchingTheory.mergePolicy")) return `diff: ${changes.join(", ")}`;
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL CONFIG HISTORY TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
@@ -0,0 +1,137 @@
+// test-config-schema.js - Required fields, types, ranges and nested error paths in config validation
+
+const { WTHOMAS_CONFIG_SCHEMA, SUBSET_SCHEMA, validateConfig } = require('../config-schema.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Config Schema Test ===");
+
+const defaults = () => new WThomas().getDefaultConfig();
+
+// Validate a copy of the defaults after `edit`, reporting "kind path" per error
+function errorsAfter(edit) {
+  const config = structuredClone(defaults());
+  edit(config);
+  return validateConfig(config).errors.map(error => `${error.kind} ${error.path}`).join(" | ");
+}
+
+const tests = [
+  ["Shipped defaults and subsets validate", () => {
+    const config = defaults();
+    const { valid, errors } = validateConfig(config);
+    if (!valid) return errors.map(error => error.message).join("; ");
+
+    for (const [name, branch] of Object.entries(config.branchingTheory.branches)) {
+      const subset = validateConfig(branch.config, SUBSET_SCHEMA);
+      if (!subset.valid) return `${name}: ${subset.errors[0].message}`;
+    }
+    if (validateConfig(config, WTHOMAS_CONFIG_SCHEMA).errors.length !== 0) return "explicit schema disagrees";
+  }],
+  ["Missing required fields are reported at their path", () => {
+    const top = errorsAfter(config => { delete config.branchingTheory; });
+    if (top !== "required branchingTheory") return top;
+
+    const nested = errorsAfter(config => {
+      delete config.AMF.personality;
+      delete config.branchingTheory.branches.professional.config;
+    });
+    if (nested !== "required AMF.personality | required branchingTheory.branches.professional.config") return nested;
+
+    // Optional sections may be left out entirely
+    const optional = errorsAfter(config => {
+      delete config.conceptExtraction;
+      delete config.randomSeed;
+    });
+    if (optional !== "") return optional;
+
+    // A connection store is optional, but once given it needs a file
+    const store = errorsAfter(config => { config.connectionStore = { type: "jsonl" }; });
+    if (store !== "required connectionStore.file") return store;
+  }],
+  ["Wrong types name what was expected and what arrived", () => {
+    const config = structuredClone(defaults());
+    config.AMF.personality = "high";
+    config.randomSeed = true;
+    config.branchingTheory.maxBranches = 2.5;
+    config.quantumSpeed.level = NaN;
+
+    const messages = validateConfig(config).errors.map(error => error.message);
+    const expected = [
+      "AMF.personality should be number, got string",
+      "quantumSpeed.level is NaN",
+      "randomSeed should be number or string, got boolean",
+      "branchingTheory.maxBranches should be an integer, got 2.5"
+    ];
+    const missing = expected.filter(message => !messages.includes(message));
+    if (missing.length) return `missing "${missing[0]}" in ${JSON.stringify(messages)}`;
+
+    // null is allowed where the schema says so, and nowhere else
+    if (errorsAfter(config => { config.randomSeed = null; }) !== "") return "nullable seed rejected";
+    if (errorsAfter(config => { config.AMF = null; }) !== "type AMF") return "null section accepted";
+
+    const root = validateConfig([]).errors;
+    if (root.length !== 1 || root[0].message !== "config should be object, got array") return JSON.stringify(root);
+  }],
+  ["Nested paths reach into arrays, maps and subsets", () => {
+    const paths = errorsAfter(config => {
+      config.conceptExtraction = { stopWords: ["the", 7] };
+      config.branchingTheory.branches.familyFriends.config.cognitiveAlignment.safetyBuffer = 2;
+      config.branchingTheory.branches.authorial.config.quantumSpeed.levle = 2;
+      config.einsteinParadox.approximationLevel = "extreme";
+    });
+    const expected = [
+      "enum einsteinParadox.approximationLevel",
+      "range branchingTheory.branches.familyFriends.config.cognitiveAlignment.safetyBuffer",
+      "unknown_key branchingTheory.branches.authorial.config.quantumSpeed.levle",
+      "type conceptExtraction.stopWords[1]"
+    ];
+    const missing = expected.filter(entry => !paths.split(" | ").includes(entry));
+    if (missing.length || paths.split(" | ").length !== expected.length) return paths;
+  }],
+  ["Unknown keys suggest the closest known key", () => {
+    const config = structuredClone(defaults());
+    config.cognitiveAlignment.safteyBuffer = 0.2;
+    config.branchingTheory.unrelatedSetting = true;
+    const [typo, unrelated] = validateConfig(config).errors.map(error => error.message);
+
+    if (typo !== "Unknown key cognitiveAlignment.safteyBuffer (did you mean safetyBuffer?)") return typo;
+    if (unrelated !== "Unknown key branchingTheory.unrelatedSetting") return unrelated;
+
+    // Open-ended protocol sections accept any key
+    const open = errorsAfter(config => {
+      config.branchingTheory.branches.familyFriends.config.responseProtocols.communicationTypes = { anything: { goes: 1 } };
+    });
+    if (open !== "") return open;
+  }],
+  ["The constructor refuses an invalid config and lists every problem", () => {
+    const config = structuredClone(defaults());
+    config.AMF.personality = 3;
+    config.einsteinParadox.approximationLevel = "extreme";
+
+    try {
+      new WThomas(config);
+      return "invalid config accepted";
+    } catch (error) {
+      const lines = error.message.split("\n");
+      if (lines[0] !== "Invalid WThomas config:" || lines.length !== 3) return error.message;
+      if (!lines[1].includes("AMF.personality is 3, above the maximum 1")) return lines[1];
+    }
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL CONFIG SCHEMA TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
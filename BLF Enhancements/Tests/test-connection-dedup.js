@@ -0,0 +1,105 @@
+// test-connection-dedup.js - Canonical connections, provenance and duplicate-edge merging
+
+const {
+  COMBINE_STRENGTHS,
+  normalizeConnection,
+  withProvenance,
+  deduplicateConnections
+} = require('../connection-dedup.js');
+
+console.log("=== Connection Dedup Test ===");
+
+const close = (actual, expected) => Math.abs(actual - expected) < 1e-12;
+
+// The same jazz → music edge found by three passes, written three ways
+const duplicates = [
+  { from: "jazz", to: "music", strength: 0.6, jumpDistance: 2, timestamp: 300, provenance: "direct" },
+  { fromConcept: "Jazz", toConcept: "Music", strength: 0.2, jumpDistance: 1, timestamp: 100, branch: "professional" },
+  { source: "jazz", target: "music", strength: 0.4, provenance: ["tertiary"] }
+];
+
+const tests = [
+  ["Alias fields normalize to from/to and provenance collects every source", () => {
+    const normalized = normalizeConnection({ source: "Boolean_Mind", target: "Logic", branch: "authorial", provenance: "direct" });
+    if (normalized.from !== "boolean_mind" || normalized.to !== "logic") return `${normalized.from} → ${normalized.to}`;
+    if ("source" in normalized || "target" in normalized || "branch" in normalized) return Object.keys(normalized).join(",");
+    if (normalized.provenance.join(",") !== "direct,branch:authorial") return normalized.provenance.join(",");
+    if (normalized.strength !== 0.5 || normalized.jumpDistance !== 1 || normalized.timestamp !== null) {
+      return "defaults not filled in";
+    }
+
+    const tagged = withProvenance([{ fromConcept: "a", toConcept: "b" }, { from: "b", to: "c", provenance: "quaternary" }], "tertiary");
+    if (tagged.map(conn => conn.provenance.join("+")).join(",") !== "tertiary,quaternary+tertiary") {
+      return tagged.map(conn => conn.provenance.join("+")).join(",");
+    }
+  }],
+  ["Every combine mode merges aliases into one edge", () => {
+    const expected = {
+      "noisy-or": 1 - 0.4 * 0.8 * 0.6,
+      "max": 0.6,
+      "mean": 0.4
+    };
+
+    for (const [combine, strength] of Object.entries(expected)) {
+      const merged = deduplicateConnections(duplicates, { combine });
+      if (merged.length !== 1) return `${combine}: ${merged.length} edges`;
+      const [edge] = merged;
+      if (!close(edge.strength, strength)) return `${combine}: strength ${edge.strength}`;
+      if (edge.jumpDistance !== 1 || edge.timestamp !== 100 || edge.occurrences !== 3) {
+        return `${combine}: ${JSON.stringify({ jumpDistance: edge.jumpDistance, timestamp: edge.timestamp })}`;
+      }
+      if (edge.provenance.join(",") !== "direct,branch:professional,tertiary") return edge.provenance.join(",");
+    }
+
+    if (deduplicateConnections(duplicates)[0].strength !== deduplicateConnections(duplicates, { combine: "noisy-or" })[0].strength) {
+      return "noisy-or is not the default";
+    }
+    if (Object.keys(COMBINE_STRENGTHS).join(",") !== "noisy-or,max,mean") return Object.keys(COMBINE_STRENGTHS).join(",");
+  }],
+  ["Strengths are clamped to [0, 1] in every mode", () => {
+    const outOfRange = [
+      { from: "a", to: "b", strength: 1.6 },
+      { from: "a", to: "b", strength: 1.2 },
+      { from: "c", to: "d", strength: -0.4 },
+      { from: "c", to: "d", strength: -0.2 },
+      { from: "e", to: "f", strength: 3 }
+    ];
+
+    for (const combine of Object.keys(COMBINE_STRENGTHS)) {
+      const strengths = deduplicateConnections(outOfRange, { combine }).map(edge => edge.strength);
+      if (strengths.join(",") !== "1,0,1") return `${combine}: ${strengths.join(",")}`;
+    }
+  }],
+  ["Distinct edges stay apart and unknown modes are rejected", () => {
+    const edges = deduplicateConnections([
+      { from: "jazz", to: "music", strength: 0.5 },
+      { from: "music", to: "jazz", strength: 0.5 }
+    ]);
+    if (edges.length !== 2 || edges.some(edge => edge.occurrences !== 1)) return "direction ignored";
+
+    try {
+      deduplicateConnections(duplicates, { combine: "sum" });
+      return "unknown combine mode accepted";
+    } catch (error) {
+      if (!error.message.includes("sum") || !error.message.includes("noisy-or, max, mean")) return error.message;
+    }
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL CONNECTION DEDUP TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,152 @@
+// test-connection-store.js - Persisted connections: both backends, time-range queries, decay and replay
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DAY_MS,
+  ConnectionStore,
+  JsonLinesConnectionStore,
+  TableFileConnectionStore,
+  createConnectionStore,
+  decayStrength
+} = require('../connection-store.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Connection Store Test ===");
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'blf-connections-'));
+const file = name => path.join(scratch, name);
+
+const T0 = Date.UTC(2026, 0, 1);
+const history = [
+  { from: "jazz", to: "music", strength: 0.8, timestamp: T0 + 2 * DAY_MS },
+  { from: "boolean", to: "logic", strength: 1, timestamp: T0 },
+  { from: "jazz", to: "improvisation", strength: 0.4, timestamp: T0 + 10 * DAY_MS }
+];
+
+const route = connections => connections.map(conn => `${conn.from}→${conn.to}`).join(",");
+
+const tests = [
+  ["Both backends round-trip and the factory picks by extension", () => {
+    for (const store of [createConnectionStore({ file: file("a.jsonl") }), createConnectionStore({ file: file("a.json") })]) {
+      if (store.load().length !== 0) return `${store.constructor.name} not empty before first save`;
+      store.save(history);
+      store.append({ from: "logic", to: "proof", strength: 0.5, timestamp: T0 + DAY_MS });
+      if (store.load().length !== 4) return `${store.constructor.name} loaded ${store.load().length}`;
+      if (fs.existsSync(`${store.filePath}.tmp`)) return "temp file left behind";
+    }
+
+    if (!(createConnectionStore({ file: file("a.jsonl") }) instanceof JsonLinesConnectionStore)) return "jsonl not detected";
+    if (!(createConnectionStore({ file: file("a.json") }) instanceof TableFileConnectionStore)) return "table not default";
+    for (const options of [{}, { type: "sqlite", file: file("x.db") }]) {
+      try {
+        createConnectionStore(options);
+        return `accepted ${JSON.stringify(options)}`;
+      } catch (error) {
+        if (!/file|sqlite/.test(error.message)) return error.message;
+      }
+    }
+  }],
+  ["Corrupt lines are skipped and foreign tables rejected", () => {
+    fs.writeFileSync(file("corrupt.jsonl"), `${JSON.stringify(history[0])}\n{not json\n\n${JSON.stringify(history[1])}\n`);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      if (new JsonLinesConnectionStore(file("corrupt.jsonl")).load().length !== 2) return "corrupt line not skipped";
+    } finally {
+      console.warn = warn;
+    }
+
+    fs.writeFileSync(file("other.json"), JSON.stringify({ table: "users", rows: [] }));
+    try {
+      new TableFileConnectionStore(file("other.json")).load();
+      return "foreign table loaded";
+    } catch (error) {
+      if (!error.message.includes("not a connection table")) return error.message;
+    }
+
+    try {
+      new ConnectionStore().load();
+      return "base class load() did not throw";
+    } catch (error) {
+      if (!error.message.includes("load()")) return error.message;
+    }
+  }],
+  ["Time-range queries are inclusive and sorted", () => {
+    const store = new JsonLinesConnectionStore(file("query.jsonl"));
+    store.save(history);
+
+    if (route(store.query()) !== "boolean→logic,jazz→music,jazz→improvisation") return route(store.query());
+    const window = store.query({ since: new Date(T0 + 2 * DAY_MS), until: T0 + 10 * DAY_MS });
+    if (route(window) !== "jazz→music,jazz→improvisation") return route(window);
+    if (store.query({ until: T0 - 1 }).length !== 0) return "connections before they existed";
+  }],
+  ["Strength halves every half-life and replay drops faded connections", () => {
+    const conn = history[1];
+    if (decayStrength(conn, T0) !== 1) return "fresh connection decayed";
+    if (Math.abs(decayStrength(conn, T0 + 30 * DAY_MS) - 0.5) > 1e-12) return "30-day half-life not applied";
+    if (Math.abs(decayStrength(conn, T0 + 2 * DAY_MS, 1 * DAY_MS) - 0.25) > 1e-12) return "custom half-life not applied";
+    if (decayStrength(conn, T0 - DAY_MS) !== 1) return "future timestamp strengthened";
+
+    const store = new TableFileConnectionStore(file("replay.json"));
+    store.save(history);
+
+    const early = store.replay(T0 + 5 * DAY_MS);
+    if (route(early) !== "boolean→logic,jazz→music") return route(early);
+
+    // Half-life of one day: the older connections fall below minStrength, the one made at that moment stays whole
+    const late = store.replay(T0 + 10 * DAY_MS, { halfLifeMs: DAY_MS, minStrength: 0.01 });
+    if (route(late) !== "jazz→improvisation") return route(late);
+    if (late[0].strength !== 0.4) return `same-moment connection decayed to ${late[0].strength}`;
+  }],
+  ["WThomas persists new connections and replays them", () => {
+    const config = new WThomas().getDefaultConfig();
+    config.connectionStore = { file: file("wthomas.jsonl"), halfLifeDays: 1 };
+    const wthomas = new WThomas(config);
+
+    wthomas.addConnection("jazz", "music", 0.8);
+    if (wthomas.connectionStore.load().length !== 1) return "addConnection not persisted";
+
+    const reloaded = new WThomas(config);
+    if (route(reloaded.loadConnections()) !== "jazz→music") return route(reloaded.connections);
+
+    const stored = reloaded.connections[0];
+    const replayed = reloaded.replayConnections(stored.timestamp + DAY_MS);
+    if (Math.abs(replayed[0].strength - stored.strength / 2) > 1e-12) return `halfLifeDays not used: ${replayed[0].strength}`;
+
+    const detached = new WThomas();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      if (detached.saveConnections() !== false) return "save without a store reported success";
+    } finally {
+      console.warn = warn;
+    }
+    detached.useConnectionStore(new JsonLinesConnectionStore(file("attached.jsonl")));
+    detached.connections = [history[0]];
+    if (!detached.saveConnections() || detached.connectionStore.load().length !== 1) return "attached store not written";
+  }]
+];
+
+let allTestsPassed = true;
+
+try {
+  tests.forEach(([testName, test]) => {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  });
+} finally {
+  fs.rmSync(scratch, { recursive: true, force: true });
+}
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL CONNECTION STORE TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,55 @@
+// test-escalation.js - behaviorMatrix escalation per conversation
+
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Escalation Test ===");
+
+const tests = [
+  ["Messages classify into behaviorMatrix categories", () => {
+    const escalation = new WThomas().getEscalation("classify");
+    const expected = {
+      "This chapter is boring and too long": "engagementComplaints",
+      "You owe us the sequel, this delay is unacceptable": "entitlementIssues",
+      "I don't understand who Lena was": "genuineConfusion",
+      "Loved it": null
+    };
+    for (const [message, category] of Object.entries(expected)) {
+      const actual = escalation.classify(message);
+      if (actual !== category) return `"${message}" -> ${actual}, expected ${category}`;
+    }
+  }],
+  ["Repeat triggers advance DDGIB -> alternative -> GTFOIB", () => {
+    const wthomas = new WThomas();
+    const steps = ["boring", "so boring", "still boring"].map(message => wthomas.handleEscalation("repeat", message));
+    const levels = steps.map(step => `${step.level}:${step.protocol}`).join(" ");
+    if (levels !== "finalResponse:DDGIB alternative:DDGIB fallback:GTFOIB") return levels;
+    if (steps[1].trigger !== "excessive_complaints") return `trigger ${steps[1].trigger}`;
+    if (wthomas.getEscalation("repeat").getState().history.length !== 3) return "history not recorded";
+  }],
+  ["Conversations escalate independently", () => {
+    const wthomas = new WThomas();
+    wthomas.handleEscalation("a", "boring");
+    wthomas.handleEscalation("a", "boring");
+    if (wthomas.handleEscalation("b", "boring").level !== "finalResponse") return "b inherited a's level";
+    wthomas.resetEscalation("a");
+    if (wthomas.getEscalation("a").level !== null) return "reset did not clear a";
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL ESCALATION TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,108 @@
+// test-interpretation-registry.js - Named interpretation generators behind applyParadoxicalThinking
+
+const { LEVELS, InterpretationRegistry, createDefaultRegistry } = require('../interpretation-registry.js');
+const { ConceptGraph } = require('../concept-graph.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Interpretation Registry Test ===");
+
+// jazz (music) links to improvisation (psychology) and to an undomained "riff" that is stronger
+function graph() {
+  const conceptGraph = new ConceptGraph();
+  conceptGraph.addConcept("jazz", ["music"]);
+  conceptGraph.addConcept("swing", ["music"]);
+  conceptGraph.addConcept("improvisation", ["psychology"]);
+  conceptGraph.addEdge("jazz", "riff", 1, 0.9);
+  conceptGraph.addEdge("jazz", "improvisation", 2, 0.8);
+  conceptGraph.addEdge("jazz", "swing", 1, 0.95);
+  return conceptGraph;
+}
+
+const types = interpretations => interpretations.map(result => result.type).join(",");
+
+const tests = [
+  ["Levels pick their generators and self-reference is opt-in", () => {
+    const registry = createDefaultRegistry();
+    const context = { conceptGraph: graph() };
+    const input = { original: "Is jazz not swing?" };
+
+    if (types(registry.run("minimal", input, context)) !== "primary") return types(registry.run("minimal", input, context));
+    if (types(registry.run("moderate", input, context)) !== "primary,alternative") return "moderate generators wrong";
+    const maximal = registry.run("maximal", input, { ...context, selfReferenceEnabled: true });
+    if (types(maximal) !== "primary,alternative,counter,self-referential") return types(maximal);
+    if (!maximal.every(result => result.alignmentConstrained && result.confidence >= 0 && result.confidence <= 1)) {
+      return "results not constrained";
+    }
+    if (LEVELS.join(",") !== "minimal,moderate,maximal") return LEVELS.join(",");
+  }],
+  ["Default readings name their concepts and domains", () => {
+    const results = createDefaultRegistry().run("maximal", { original: "Jazz is not swing" }, { conceptGraph: graph() });
+    const [primary, alternative, counter] = results;
+
+    if (primary.interpretation !== "Direct reading: jazz, swing taken literally within music") return primary.interpretation;
+    if (alternative.interpretation !== "Alternative reading through psychology: jazz → improvisation") {
+      return alternative.interpretation;
+    }
+    if (Math.abs(alternative.confidence - 0.8 * 0.7 / 2) > 1e-12) return `alternative confidence ${alternative.confidence}`;
+    if (!counter.interpretation.includes("negation") || counter.confidence !== 0.45) return counter.interpretation;
+  }],
+  ["Concepts without domains never read as \"undefined\" or \"null\"", () => {
+    const conceptGraph = new ConceptGraph();
+    conceptGraph.addEdge("tone", "timbre");
+    const results = createDefaultRegistry().run("moderate", "tone and timbre", { conceptGraph });
+
+    if (results.some(result => /undefined|null/.test(result.interpretation))) {
+      return results.map(result => result.interpretation).join(" | ");
+    }
+    if (types(results) !== "primary") return `undomained neighbor produced ${types(results)}`;
+  }],
+  ["Custom generators, scoring and validation", () => {
+    const registry = new InterpretationRegistry()
+      .register("echo", input => ({ interpretation: `Echo: ${input}`, confidence: 3 }))
+      .register("skip", () => null)
+      .register("scored", () => ({ interpretation: "Scored" }), { levels: ["maximal"], score: () => 0.33 });
+
+    const [echo, scored] = registry.run("maximal", "hi");
+    if (echo.type !== "echo" || echo.confidence !== 1) return JSON.stringify(echo);
+    if (scored.confidence !== 0.33) return `score override ignored: ${scored.confidence}`;
+    if (!registry.unregister("echo") || registry.run("minimal", "hi").length !== 0) return "unregister failed";
+
+    for (const [name, generate, options] of [["bad", "not a function"], ["odd", () => null, { levels: ["extreme"] }]]) {
+      try {
+        registry.register(name, generate, options);
+        return `${name} accepted`;
+      } catch (error) {
+        if (!error.message.includes(name === "bad" ? "bad" : "extreme")) return error.message;
+      }
+    }
+  }],
+  ["WThomas runs registered generators in applyParadoxicalThinking", () => {
+    const wthomas = new WThomas();
+    wthomas.config.einsteinParadox.approximationLevel = "minimal";
+    wthomas.registerInterpretation("literal", input => ({ interpretation: `Literal: ${input.original}`, confidence: 0.9 }), {
+      levels: ["minimal"]
+    });
+
+    const analysis = wthomas.applyParadoxicalThinking({ original: "jazz" });
+    if (types(analysis.interpretations).split(",").pop() !== "literal") return types(analysis.interpretations);
+    if (analysis.approximationLevel !== "minimal") return analysis.approximationLevel;
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL INTERPRETATION REGISTRY TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,182 @@
+// test-preset-loader.js - Named presets: inheritance, environment overrides and hot reload
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PresetLoader } = require('../preset-loader.js');
+const WThomas = require('../../WThomas.js');
+const BLFProcessor = require('../../The NJSON Key/blf-processor.js');
+
+console.log("=== Preset Loader Test ===");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const scratchDirs = [];
+
+// Scratch preset directory so the shipped presets are never touched
+function scratchDir(presets) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blf-presets-'));
+  scratchDirs.push(dir);
+  Object.entries(presets).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(content, null, 2));
+  });
+  return dir;
+}
+
+const tests = [
+  ["Shipped presets inherit and feed both processors", async () => {
+    const loader = new PresetLoader({ env: {} });
+    const names = loader.list().join(",");
+    if (names !== "authorial,family,professional,research") return names;
+
+    const { preset, chain } = loader.load("authorial");
+    if (chain.map(file => path.basename(file)).join(",") !== "professional.json,authorial.json") return chain.join(",");
+    if (preset.cognitiveAlignment.safetyBuffer !== 0.15 || preset.quantumSpeed.maxJumpDistance !== 3) {
+      return JSON.stringify(preset.quantumSpeed);
+    }
+
+    const wthomas = WThomas.fromPreset("research", loader);
+    if (wthomas.config.quantumSpeed.domainRange !== "extensive" || !wthomas.config.conceptExtraction.knownOnly) {
+      return "research preset not applied to WThomas";
+    }
+    const processor = BLFProcessor.fromPreset("family", loader);
+    if (processor.config.cognitiveProtocol.jumps.maxDistance !== 2) return "family preset not applied to BLFProcessor";
+  }],
+  ["Every shipped preset initializes both processors", async () => {
+    const loader = new PresetLoader({ env: {} });
+    for (const name of loader.list()) {
+      const wthomas = WThomas.fromPreset(name, loader);
+      await wthomas.initialize();
+      if (!wthomas.initialized) return `${name}: WThomas not initialized`;
+      if (!BLFProcessor.fromPreset(name, loader).validateCognitiveAlignmentSafe()) return `${name}: BLF alignment invalid`;
+    }
+  }],
+  ["Preset files and WThomas's branch subsets describe the same profiles", () => {
+    const loader = new PresetLoader({ env: {} });
+    const branches = new WThomas().getDefaultConfig().branchingTheory.branches;
+    const pairs = [["family", "familyFriends"], ["professional", "professional"], ["authorial", "authorial"]];
+
+    for (const [presetName, branchName] of pairs) {
+      const { preset } = loader.load(presetName);
+      const subset = branches[branchName].config;
+      for (const section of ["cognitiveAlignment", "quantumSpeed"]) {
+        if (JSON.stringify(preset[section]) !== JSON.stringify(subset[section])) {
+          return `${presetName} ${section}: preset ${JSON.stringify(preset[section])}, subset ${JSON.stringify(subset[section])}`;
+        }
+      }
+      for (const stage of ["prioritize", "eliminate", "structure", "format", "feedback"]) {
+        if (preset.responseProtocols[stage] !== subset.responseProtocols[stage]) return `${presetName} ${stage} differs`;
+      }
+    }
+  }],
+  ["Misaligned presets are rejected at load", async () => {
+    const dir = scratchDir({
+      "skewed.json": {
+        cognitiveAlignment: { aiCognitiveCapabilities: 2.89, booleanMindQuantumSpeed: 2.99, safetyBuffer: 0.15 }
+      }
+    });
+    try {
+      new PresetLoader({ dir, env: {} }).load("skewed");
+      return "misaligned preset loaded";
+    } catch (error) {
+      if (!error.message.includes("misaligned")) return error.message;
+    }
+  }],
+  ["Environment overrides and cycles", async () => {
+    const dir = scratchDir({
+      "base.json": { quantumSpeed: { level: 2.5, maxJumpDistance: 2 } },
+      "child.json": { extends: "base", quantumSpeed: { domainRange: "social" } },
+      "loop-a.json": { extends: "loop-b" },
+      "loop-b.json": { extends: "loop-a" }
+    });
+    const loader = new PresetLoader({
+      dir,
+      env: {
+        BLF_PRESET__QUANTUMSPEED__LEVEL: "2.7",
+        BLF_PRESET_CHILD__quantumSpeed__maxJumpDistance: "3"
+      }
+    });
+
+    const { preset } = loader.load("child");
+    if (preset.quantumSpeed.level !== 2.7 || preset.quantumSpeed.maxJumpDistance !== 3) {
+      return JSON.stringify(preset.quantumSpeed);
+    }
+    if (loader.load("base").preset.quantumSpeed.maxJumpDistance !== 2) return "named override leaked into base";
+
+    try {
+      loader.load("loop-a");
+      return "cycle not detected";
+    } catch (error) {
+      if (!error.message.includes("loop-a -> loop-b -> loop-a")) return error.message;
+    }
+  }],
+  ["Editing a parent file hot-reloads WThomas", async () => {
+    const dir = scratchDir({
+      "base.json": { quantumSpeed: { level: 2.5 } },
+      "child.json": { extends: "base" }
+    });
+    const loader = new PresetLoader({ dir, env: {} });
+    const wthomas = new WThomas();
+    const watcher = await wthomas.watchPreset("child", loader);
+
+    try {
+      if (wthomas.config.quantumSpeed.level !== 2.5) return "preset not applied";
+      fs.writeFileSync(path.join(dir, "base.json"), JSON.stringify({ quantumSpeed: { level: 2.2 } }));
+      await wait(400);
+      if (wthomas.config.quantumSpeed.level !== 2.2) return `level after edit: ${wthomas.config.quantumSpeed.level}`;
+
+      const reasons = wthomas.getConfigHistory().map(entry => entry.reason);
+      if (!reasons.includes("preset child reloaded")) return reasons.join(",");
+    } finally {
+      watcher.close();
+    }
+  }],
+  ["Keys removed from a watched preset stop applying in both processors", async () => {
+    const dir = scratchDir({
+      "study.json": { quantumSpeed: { level: 2.5 }, conceptExtraction: { knownOnly: true, minLength: 2 } }
+    });
+    const loader = new PresetLoader({ dir, env: {} });
+    const wthomas = new WThomas();
+    const processor = new BLFProcessor();
+    const watchers = [await wthomas.watchPreset("study", loader), processor.watchPreset("study", loader)];
+
+    try {
+      if (!wthomas.config.conceptExtraction.knownOnly) return "preset not applied to WThomas";
+      if (!processor.config.conceptExtraction?.knownOnly) return "preset not applied to BLFProcessor before the first edit";
+
+      fs.writeFileSync(path.join(dir, "study.json"), JSON.stringify({ quantumSpeed: { level: 2.5 } }));
+      await wait(400);
+
+      const { conceptExtraction, quantumSpeed } = wthomas.config;
+      if (conceptExtraction.knownOnly !== false || conceptExtraction.minLength !== 4) return JSON.stringify(conceptExtraction);
+      if (quantumSpeed.level !== 2.5) return `level after edit: ${quantumSpeed.level}`;
+      if (processor.config.conceptExtraction?.knownOnly) return "removed key kept by BLFProcessor";
+    } finally {
+      watchers.forEach(watcher => watcher.close());
+    }
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  scratchDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL PRESET LOADER TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
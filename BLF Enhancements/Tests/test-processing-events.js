@@ -0,0 +1,165 @@
+// test-processing-events.js - processStream stages, processWithEvents, cancellation and error reporting
+
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Processing Events Test ===");
+
+const input = "How would jazz improvisation handle boolean logic?";
+
+const seeded = () => new WThomas({ ...new WThomas().getDefaultConfig(), randomSeed: 3 });
+
+// Collect everything an emitter reports until it settles
+function settle(emitter) {
+  const seen = [];
+  return new Promise(resolve => {
+    emitter.on("stage", event => seen.push(event.stage));
+    emitter.on("done", response => resolve({ outcome: "done", seen, response }));
+    emitter.on("cancelled", error => resolve({ outcome: "cancelled", seen, error }));
+    emitter.on("error", error => resolve({ outcome: "error", seen, error }));
+  });
+}
+
+// Quantum violations are the realistic failure: process() refuses to run misaligned
+function misaligned() {
+  const wthomas = new WThomas();
+  wthomas.config.cognitiveAlignment.safetyBuffer = 0.5;
+  return wthomas;
+}
+
+// The next process-level event of this kind, or null if none arrives in time
+function nextProcessEvent(name, ms = 2000) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      process.removeListener(name, handler);
+      resolve(null);
+    }, ms);
+    const handler = value => {
+      clearTimeout(timer);
+      resolve(value);
+    };
+    process.once(name, handler);
+  });
+}
+
+const tests = [
+  ["processStream yields the stages in order and ends with process()'s answer", async () => {
+    const stages = [];
+    let answer;
+    for await (const event of seeded().processStream(input)) {
+      stages.push(event.stage);
+      if (typeof event.timestamp !== "number") return `${event.stage} has no timestamp`;
+      if (event.stage === "answer") answer = event.data;
+    }
+
+    const expected = "breathing,constraints,branches,quantum_jumps,heat_shield,interpretations,answer";
+    if (stages.join(",") !== expected) return stages.join(",");
+
+    const processed = await seeded().process(input);
+    if (answer.directAnswer !== processed.directAnswer) return "stream and process() answers differ";
+  }],
+  ["processWithEvents emits each stage by name, then done", async () => {
+    const emitter = seeded().processWithEvents(input);
+    let constraints;
+    emitter.on("constraints", data => { constraints = data; });
+
+    const { outcome, seen, response } = await settle(emitter);
+    if (outcome !== "done") return outcome;
+    if (seen.at(-1) !== "answer" || !response?.directAnswer) return "done without the answer";
+    if (!Array.isArray(constraints?.constraints)) return "stage listener not given the stage data";
+  }],
+  ["emitter.cancel() stops processing before the answer", async () => {
+    const emitter = seeded().processWithEvents(input);
+    emitter.on("constraints", () => emitter.cancel());
+
+    const { outcome, seen, error } = await settle(emitter);
+    if (outcome !== "cancelled" || error.name !== "AbortError") return `${outcome}: ${error?.message}`;
+    if (seen.join(",") !== "breathing,constraints") return seen.join(",");
+    if (emitter.cancel() !== emitter) return "cancel() not chainable";
+  }],
+  ["An already-aborted signal cancels before any stage", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const { outcome, seen } = await settle(seeded().processWithEvents(input, { signal: controller.signal }));
+    if (outcome !== "cancelled" || seen.length !== 0) return `${outcome} after ${seen.join(",")}`;
+  }],
+  ["Cancelling mid-branching stops before the remaining branches", async () => {
+    const wthomas = seeded();
+    const controller = new AbortController();
+    const processBranch = wthomas.processBranch.bind(wthomas);
+    let processed = 0;
+    wthomas.processBranch = branch => {
+      processed++;
+      controller.abort();
+      return processBranch(branch);
+    };
+
+    try {
+      await wthomas.applyBranchingTheoryAsync(wthomas.applyCognitiveAlignmentConstraints(input), { signal: controller.signal });
+      return "branching finished after the abort";
+    } catch (error) {
+      if (error.name !== "AbortError") return error.message;
+    }
+    if (processed !== 1) return `${processed} branches processed after the abort`;
+  }],
+  ["Failures reach the error listener", async () => {
+    const { outcome, error } = await settle(misaligned().processWithEvents(input));
+    if (outcome !== "error" || !error.message.includes("Pure quantum violation")) return `${outcome}: ${error?.message}`;
+  }],
+  ["Without an error listener a failure is a warning, not a crash", async () => {
+    const rejection = nextProcessEvent("unhandledRejection");
+    const warning = nextProcessEvent("warning");
+    const emitter = misaligned().processWithEvents(input);
+    emitter.on("done", () => {});
+
+    const reported = await warning;
+    if (!reported?.message?.includes("Pure quantum violation")) return `no warning: ${reported}`;
+    if (await rejection) return "failure became an unhandled rejection";
+  }],
+  ["A throwing done listener is not re-emitted as error", async () => {
+    const rejection = nextProcessEvent("unhandledRejection");
+    const errors = [];
+    const emitter = seeded().processWithEvents(input);
+    emitter.on("error", error => errors.push(error));
+    emitter.on("done", () => { throw new Error("listener bug"); });
+
+    const reason = await rejection;
+    if (reason?.message !== "listener bug") return `listener exception lost: ${reason}`;
+    if (errors.length !== 0) return `emitted as error: ${errors[0].message}`;
+  }],
+  ["A throwing stage listener stops processing without an error event", async () => {
+    const rejection = nextProcessEvent("unhandledRejection");
+    const seen = [];
+    const emitter = seeded().processWithEvents(input);
+    emitter.on("stage", event => seen.push(event.stage));
+    emitter.on("error", () => seen.push("error"));
+    emitter.on("done", () => seen.push("done"));
+    emitter.on("constraints", () => { throw new Error("stage listener bug"); });
+
+    const reason = await rejection;
+    if (reason?.message !== "stage listener bug") return `listener exception lost: ${reason}`;
+    if (seen.join(",") !== "breathing,constraints") return seen.join(",");
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL PROCESSING EVENTS TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
@@ -0,0 +1,117 @@
+// test-response-protocols.js - Response protocol engine behind BLFProcessor
+
+const { createDefaultProtocols, splitSentences } = require('../response-protocols.js');
+const BLFProcessor = require('../../The NJSON Key/blf-processor.js');
+const blfConfig = require('../../The NJSON Key/blf.js');
+const { PresetLoader } = require('../preset-loader.js');
+
+console.log("=== Response Protocols Test ===");
+
+const tests = [
+  ["blf.js protocols rewrite text in stage order", () => {
+    const { text, applied, unknown } = createDefaultProtocols().apply(
+      "Great question. Well, let me explain. Finally, restart the server. First, check the logs (they are basically in /var/log).",
+      blfConfig.responseProtocols
+    );
+    if (unknown.length > 0) return `unknown: ${unknown.join(", ")}`;
+    if (applied.join(",") !== "prioritize:clarity_over_comprehensiveness,eliminate:unnecessary_social_padding,structure:logical_sequential_information,format:direct_answers_first_details_after") {
+      return applied.join(",");
+    }
+    if (text !== "First, check the logs.\n\nFinally, restart the server.") return JSON.stringify(text);
+  }],
+  ["Decimals, domains and versions are not sentence breaks", () => {
+    const text = "The safety buffer is 0.1 and BMqs is 2.99, see example.com for details. Version v1.2.3 is out.";
+    const sentences = splitSentences(text);
+    if (sentences.length !== 2 || sentences[1] !== "Version v1.2.3 is out.") return JSON.stringify(sentences);
+    if (splitSentences("AIc is 2.89. Is it aligned? Yes!").length !== 3) return "real sentence ends missed";
+
+    const rewritten = createDefaultProtocols().apply(text, blfConfig.responseProtocols).text;
+    if (rewritten !== "The safety buffer is 0.1 and BMqs is 2.99, see example.com for details.\n\nVersion v1.2.3 is out.") {
+      return JSON.stringify(rewritten);
+    }
+  }],
+  ["Padding removes courtesy sentences, not sentences that start with a courtesy word", () => {
+    const { text } = createDefaultProtocols().apply(
+      "Thank you for your question. Thanks to the cache, lookups are fast. I hope this helps. Thanks!",
+      { eliminate: "unnecessary_social_padding" }
+    );
+    if (text !== "Thanks to the cache, lookups are fast.") return JSON.stringify(text);
+
+    const kept = createDefaultProtocols().apply("Thanks for the fix, the build passes now.", { eliminate: "unnecessary_social_padding" });
+    if (kept.text !== "Thanks for the fix, the build passes now.") return JSON.stringify(kept.text);
+  }],
+  ["Unknown names are reported and custom protocols compose", () => {
+    const registry = createDefaultProtocols()
+      .register("format", "shout", text => text.toUpperCase());
+    const { text, applied, unknown } = registry.apply("In order to commence, please utilize the form.", {
+      eliminate: ["unnecessary_social_padding", "excessive_formality"],
+      format: ["shout", "haiku"]
+    });
+    if (text !== "TO START, USE THE FORM.") return JSON.stringify(text);
+    if (applied.length !== 3 || unknown.join(",") !== "format:haiku") return `applied ${applied}, unknown ${unknown}`;
+  }],
+  ["Every shipped preset resolves all of its protocols", async () => {
+    const loader = new PresetLoader({ env: {} });
+    for (const name of loader.list()) {
+      const result = await BLFProcessor.fromPreset(name, loader).process("Thanks for asking. The build passes now.");
+      if (result.protocols.unknown.length > 0) return `${name}: unknown ${result.protocols.unknown.join(", ")}`;
+      if (result.protocols.applied.length === 0) return `${name}: nothing applied`;
+    }
+  }],
+  ["Preset voices trim around the voice instead of replacing it", () => {
+    const registry = createDefaultProtocols();
+
+    const family = registry.apply("Sorry, the build basically broke (the cat walked on the keyboard). Restart the server.", {
+      prioritize: "smartass_with_subject_markers",
+      format: "irrelevant_tangents_with_clear_subject_transitions"
+    });
+    if (family.text !== "The build broke. Tangent: the cat walked on the keyboard. Anyway, restart the server.") {
+      return JSON.stringify(family.text);
+    }
+
+    const professional = registry.apply("I'm so proud of this damn release. It ships Friday. My team did great.", {
+      prioritize: "authentic_voice_with_professional_boundaries",
+      format: "personal_with_professional_anchors"
+    });
+    if (professional.text !== "It ships Friday. I'm so proud of this release. My team did great.") {
+      return JSON.stringify(professional.text);
+    }
+
+    const authorial = registry.apply("Y'all really need to see this\n- the farm\n- the river!!!", {
+      prioritize: "creative_accuracy_with_kentucky_southie_blend",
+      structure: "narrative_flow_with_bluegrass_edge",
+      format: "professional_but_authentic_kentucky_southie_style"
+    });
+    if (authorial.text !== "Y'all need to see this. The farm. The river!") return JSON.stringify(authorial.text);
+  }],
+  ["BLFProcessor returns the rewritten text and its protocol report", async () => {
+    const processor = new BLFProcessor();
+    const result = await processor.process("Thanks for asking. The build passes now.");
+    if (result.result !== "The build passes now.") return JSON.stringify(result.result);
+    if (result.protocols.applied.length !== 4 || result.protocols.unknown.length !== 0) {
+      return JSON.stringify(result.protocols);
+    }
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL RESPONSE PROTOCOL TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
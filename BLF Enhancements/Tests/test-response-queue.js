@@ -0,0 +1,56 @@
+// test-response-queue.js - Response-time SLAs from communicationTypes
+
+const WThomas = require('../../WThomas.js');
+const { HOUR_MS } = require('../response-queue.js');
+
+console.log("=== Response Queue Test ===");
+
+const start = Date.UTC(2026, 0, 5, 9);
+
+const tests = [
+  ["Due times follow each type's responseTime", () => {
+    const queue = new WThomas().responseQueue;
+    const expected = { agent: 24, betaReaders: 48, fans: 72 };
+    for (const [recipient, hours] of Object.entries(expected)) {
+      const item = queue.receive({ recipient, receivedAt: start });
+      if (item.dueAt - start !== hours * HOUR_MS) return `${recipient}: ${(item.dueAt - start) / HOUR_MS}h`;
+    }
+  }],
+  ["Overdue lists only unanswered messages past due", () => {
+    const queue = new WThomas().responseQueue;
+    const late = queue.receive({ recipient: "agent", from: "agent", receivedAt: start });
+    const answered = queue.receive({ recipient: "agent", from: "agent", receivedAt: start });
+    queue.receive({ recipient: "fan", from: "reader", receivedAt: start });
+    if (!queue.respond(answered.id, start + HOUR_MS).onTime) return "answer within an hour should be on time";
+
+    const overdue = queue.overdue(start + 30 * HOUR_MS);
+    if (overdue.length !== 1 || overdue[0].id !== late.id) return `overdue: ${overdue.map(item => item.id)}`;
+  }],
+  ["Daily digest counts per type", () => {
+    const queue = new WThomas().responseQueue;
+    queue.receive({ recipient: "agent", receivedAt: start });
+    queue.receive({ recipient: "betaReaders", receivedAt: start });
+    const digest = queue.digest(start + 25 * HOUR_MS);
+    if (digest.byType.agent.overdue !== 1) return "agent message should be overdue";
+    if (digest.dueToday.length !== 1 || digest.dueToday[0].recipientType !== "betaReaders") return "beta reader due today";
+    if (!digest.text.includes("agent: 1 pending, 1 overdue")) return digest.text;
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL RESPONSE QUEUE TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
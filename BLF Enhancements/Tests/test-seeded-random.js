@@ -0,0 +1,85 @@
+// test-seeded-random.js - Same seed, same output: PRNG, WThomas snapshots and seed changes at runtime
+
+const { hashSeed, createRandom, resolveRandom } = require('../seeded-random.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Seeded Random Test ===");
+
+const input = "How would jazz improvisation handle hallucinations?";
+
+// Wall-clock fields differ between runs whatever the seed
+const withoutClock = value =>
+  JSON.parse(JSON.stringify(value, (key, entry) => (/timestamp|lastSync|Time$/i.test(key) ? undefined : entry)));
+
+async function run(seed) {
+  const wthomas = new WThomas({ ...new WThomas().getDefaultConfig(), randomSeed: seed });
+  return withoutClock(await wthomas.process(input, { recipient: "fans", wingIt: true }));
+}
+
+const sequence = (random, count = 5) => Array.from({ length: count }, () => random());
+
+// Recorded from seed 42; update deliberately when the pipeline changes
+const SNAPSHOT_42 = "Thanks for reading. Direct reading: jazz, improvisation, hallucinations taken literally within music " +
+  "involving jazz, improvisation, history Thanks for being part of this. Supporting information: Found 26 connections " +
+  "within cognitive alignment constraints. Generated 3 interpretations following AIc + 0.1 = BMqs formula. Focus: " +
+  "gratitude, personal connection, future updates, creative process. DuckDuckGo it Bitches!";
+
+const tests = [
+  ["Seeds replay and config picks the source", () => {
+    if (sequence(createRandom(42)).join() !== sequence(createRandom(42)).join()) return "same seed diverged";
+    if (sequence(createRandom("session-42")).join() === sequence(createRandom(42)).join()) return "string seed not hashed";
+    if (hashSeed("session-42") !== hashSeed("session-42")) return "hash not stable";
+
+    const injected = () => 0.5;
+    if (resolveRandom({ random: injected, randomSeed: 1 }) !== injected) return "injected random not preferred";
+    if (resolveRandom({ randomSeed: "" }) !== Math.random || resolveRandom() !== Math.random) return "empty seed not unseeded";
+  }],
+  ["The same seed gives the same response", async () => {
+    const first = await run(42);
+    const second = await run(42);
+    if (JSON.stringify(first) !== JSON.stringify(second)) return "seed 42 produced two different responses";
+    if (first.directAnswer !== SNAPSHOT_42) return `snapshot changed: ${JSON.stringify(first.directAnswer)}`;
+
+    const other = await run(7);
+    if (JSON.stringify(other) === JSON.stringify(first)) return "a different seed changed nothing";
+  }],
+  ["updateConfig and rollback re-resolve the random source", async () => {
+    const wthomas = new WThomas({ ...new WThomas().getDefaultConfig(), randomSeed: 1 });
+    const versionWithSeed1 = wthomas.getConfigHistory().at(-1).version;
+
+    if (!await wthomas.updateConfig({ randomSeed: 99 })) return "seed update rejected";
+    if (sequence(wthomas.random).join() !== sequence(createRandom(99)).join()) return "updateConfig kept the old sequence";
+
+    // Setting the same seed again restarts its sequence
+    await wthomas.updateConfig({ randomSeed: 99 });
+    if (wthomas.random() !== createRandom(99)()) return "re-applied seed did not restart";
+
+    wthomas.rollbackTo(versionWithSeed1);
+    if (wthomas.random() !== createRandom(1)()) return "rollback kept seed 99";
+
+    await wthomas.updateConfig({ randomSeed: null });
+    if (wthomas.random !== Math.random) return "clearing the seed did not fall back to Math.random";
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL SEEDED RANDOM TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
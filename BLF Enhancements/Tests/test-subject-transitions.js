@@ -0,0 +1,74 @@
+// test-subject-transitions.js - Topic segmentation and the transitions WThomas marks in responses
+
+const { segmentTopics, detectSubjectTransitions } = require('../subject-transitions.js');
+const { ConceptGraph } = require('../concept-graph.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Subject Transitions Test ===");
+
+const graph = ConceptGraph.load();
+
+const text = "Jazz improvisation needs rhythm. Boolean logic is a framework, anyway harmony again [DIRECT JUMP: music] - tempo.";
+
+const tests = [
+  ["Segments follow the dominant domain and ties keep the current topic", () => {
+    const segments = segmentTopics(text, graph);
+    if (segments.map(segment => segment.domain).join(",") !== "music,mathematics,music") {
+      return segments.map(segment => segment.domain).join(",");
+    }
+
+    // harmony is music and mathematics; the tie stays with mathematics, so the clause joins that topic
+    if (segments[1].text !== "Boolean logic is a framework anyway harmony again") return JSON.stringify(segments[1].text);
+    if (segments.some(segment => segment.text.includes("DIRECT JUMP"))) return "jump marker read as content";
+    if (segmentTopics(42, graph).length !== 0) return "non-string input segmented";
+  }],
+  ["Transitions name the concepts and domains either side", () => {
+    const transitions = detectSubjectTransitions(text, graph);
+    const summary = transitions.map(({ from, to, marker }) => `${from}>${to}:${marker}`).join(" | ");
+    if (summary !== "rhythm>boolean:music → mathematics | harmony>tempo:mathematics → music") return summary;
+    if (transitions[1].jumpDistance !== graph.jumpDistance("harmony", "tempo")) return "jump distance not from the graph";
+
+    if (detectSubjectTransitions("Jazz has rhythm, tempo and harmony.", graph).length !== 0) return "single topic split";
+    if (detectSubjectTransitions("Nothing known here. Still nothing.", graph).length !== 0) return "unknown words made a topic";
+  }],
+  ["Quantum jumps only track transitions when the subset asks for them", () => {
+    const wthomas = new WThomas();
+    const input = wthomas.applyCognitiveAlignmentConstraints(text);
+
+    const family = wthomas.config.branchingTheory.branches.familyFriends.config;
+    if (!family.quantumSpeed.subjectIdentification) return "familyFriends no longer identifies subjects";
+    const tracked = wthomas.applyQuantumJumps({ ...input, config: family }).subjectTransitions;
+    if (tracked.length !== 2) return `tracked ${tracked.length}`;
+
+    const quiet = { ...family, quantumSpeed: { ...family.quantumSpeed, subjectIdentification: false } };
+    if (wthomas.applyQuantumJumps({ ...input, config: quiet }).subjectTransitions.length !== 0) return "transitions tracked anyway";
+  }],
+  ["Responses carry a marker at each subject jump", async () => {
+    const wthomas = new WThomas({ ...new WThomas().getDefaultConfig(), randomSeed: 1 });
+    wthomas.setCurrentBranch("familyFriends");
+    const { directAnswer } = await wthomas.process(text);
+    if (!directAnswer.includes("[V8 JUMP: music → mathematics]")) return JSON.stringify(directAnswer);
+  }]
+];
+
+async function runTests() {
+  let allTestsPassed = true;
+
+  for (const [testName, test] of tests) {
+    console.log(`\n--- ${testName} ---`);
+    try {
+      const failure = await test();
+      if (failure) throw new Error(failure);
+      console.log(`✓ ${testName} PASSED`);
+    } catch (error) {
+      console.log(`✗ ${testName} FAILED: ${error.message}`);
+      allTestsPassed = false;
+    }
+  }
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(allTestsPassed ? "✓ ALL SUBJECT TRANSITION TESTS PASSED" : "✗ SOME TESTS FAILED");
+  if (!allTestsPassed) process.exitCode = 1;
+}
+
+runTests();
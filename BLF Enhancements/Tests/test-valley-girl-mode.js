@@ -0,0 +1,59 @@
+// test-valley-girl-mode.js - valleyGirlMode intensity per delivery context
+
+const { intensityRank, resolveValleyGirlMode, applyValleyGirlMode } = require('../valley-girl-mode.js');
+const WThomas = require('../../WThomas.js');
+
+console.log("=== Valley Girl Mode Test ===");
+
+const wthomas = new WThomas();
+const valleyGirlMode = wthomas.selectCommunicationProfile("fans").signatureStyle.alternative.valleyGirlMode;
+
+const tests = [
+  ["Intensities rank in order and unknown values fail closed", () => {
+    if (intensityRank("moderate_valley") !== 2 || intensityRank("maximum") !== 3) return "known levels misranked";
+    if (intensityRank("minimal_valey") !== 0) return `misspelling ranked ${intensityRank("minimal_valey")}`;
+    if (intensityRank(undefined) !== 0) return "missing intensity not restricted";
+  }],
+  ["Each known context caps the permitted expressions", () => {
+    const liveTV = resolveValleyGirlMode(valleyGirlMode, "liveTV");
+    if (liveTV.intensity !== "moderate_valley") return `liveTV intensity ${liveTV.intensity}`;
+    if (!liveTV.permitted.includes("Puhlease") || liveTV.permitted.includes("Gag_me_with_a_spoon")) {
+      return `liveTV permitted ${liveTV.permitted.join(", ")}`;
+    }
+
+    const podcast = resolveValleyGirlMode(valleyGirlMode, "podcast");
+    if (!podcast.permitted.includes("Gag_me_with_a_spoon")) return "podcast should allow maximum expressions";
+
+    const formal = resolveValleyGirlMode(valleyGirlMode, "formal");
+    if (!formal.professionalOnly || formal.permitted.length > 0) return "formal override did not win";
+  }],
+  ["Unknown contexts are professional-only", () => {
+    const radio = resolveValleyGirlMode(valleyGirlMode, "radio");
+    if (!radio.unknownContext || !radio.professionalOnly) return "radio not restricted";
+    if (radio.intensity !== "none" || radio.permitted.length > 0) return `radio permitted ${radio.permitted.join(", ")}`;
+  }],
+  ["Forbidden expressions are stripped and reported", () => {
+    const response = { directAnswer: "Gag me with a spoon! The answer is in chapter three.", supportingDetails: "As if." };
+    const result = applyValleyGirlMode(response, resolveValleyGirlMode(valleyGirlMode, "liveTV"));
+    if (result.directAnswer !== "The answer is in chapter three.") return JSON.stringify(result.directAnswer);
+    if (!result.valleyGirl.suppressed.includes("Gag me with a spoon")) return result.valleyGirl.suppressed.join(", ");
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL VALLEY GIRL MODE TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
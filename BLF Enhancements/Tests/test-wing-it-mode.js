@@ -0,0 +1,89 @@
+// test-wing-it-mode.js - Wing-it rendering, signature phrases and escalation boundaries
+
+const { applyWingItMode } = require('../wing-it-mode.js');
+
+console.log("=== Wing It Mode Test ===");
+
+// Deterministic draws: values are used in order, the last one repeats
+const draws = (...values) => () => (values.length > 1 ? values.shift() : values[0]);
+
+const signatureStyle = {
+  format: "DuckDuckGo_it_Bitches",
+  alternative: {
+    format: "DuckDuckGo_it_Bitches_you_lazy_fucks",
+    fallback: { format: "Get_the_fuck_over_it_bitches" }
+  }
+};
+
+const wingItMode = {
+  enabled: true,
+  style: "authentic_spontaneity",
+  constraints: { maintainCoreProtocols: true, preserveSignaturePhrases: true, respectBoundaries: true },
+  delivery: { spontaneity: "high" },
+  fallback: { toProtocols: true, style: "return_to_structure" }
+};
+
+const response = level => ({
+  directAnswer: "Chapter three answers that. The clue is in the map.",
+  supportingDetails: "",
+  escalation: {
+    level,
+    format: level === "alternative" ? signatureStyle.alternative.format : signatureStyle.format
+  }
+});
+
+const tests = [
+  ["The signature phrase is riffed in at the current escalation level", () => {
+    // Keep both sentences, add a riff, no overshoot
+    const result = applyWingItMode(response("finalResponse"), wingItMode, { signatureStyle, random: draws(0.99, 0.99, 0.1, 0.99) });
+    if (!result.wingIt.applied) return JSON.stringify(result.wingIt.violations);
+    if (result.directAnswer !== "Chapter three answers that. The clue is in the map. DuckDuckGo it Bitches!") {
+      return JSON.stringify(result.directAnswer);
+    }
+  }],
+  ["Escalated conversations allow the harsher riff", () => {
+    const result = applyWingItMode(response("alternative"), wingItMode, { signatureStyle, random: draws(0.99, 0.99, 0.1, 0.99) });
+    if (!result.wingIt.applied) return JSON.stringify(result.wingIt.violations);
+    if (result.wingIt.riff !== "DuckDuckGo it Bitches you lazy fucks") return result.wingIt.riff;
+  }],
+  ["Overshooting the escalation falls back to the structured answer", () => {
+    const original = response("finalResponse");
+    const result = applyWingItMode(original, wingItMode, { signatureStyle, random: draws(0.99, 0.99, 0.1, 0) });
+    if (result.wingIt.applied || !result.wingIt.fellBack) return "overshoot was applied";
+    if (!result.wingIt.violations.some(violation => violation.constraint === "respectBoundaries")) {
+      return JSON.stringify(result.wingIt.violations);
+    }
+    if (result.directAnswer !== original.directAnswer) return "structured answer not kept";
+    if (result.wingIt.style !== "return_to_structure") return result.wingIt.style;
+  }],
+  ["A dropped signature phrase breaks preserveSignaturePhrases", () => {
+    // No riff at all, so the escalation format never appears
+    const result = applyWingItMode(response("finalResponse"), wingItMode, { signatureStyle, random: draws(0.99) });
+    if (!result.wingIt.violations.some(violation => violation.constraint === "preserveSignaturePhrases")) {
+      return JSON.stringify(result.wingIt.violations);
+    }
+  }],
+  ["A mode without a fallback block still falls back", () => {
+    const { fallback, ...withoutFallback } = wingItMode;
+    const result = applyWingItMode(response("finalResponse"), withoutFallback, { signatureStyle, random: draws(0.99) });
+    if (!result.wingIt.fellBack || result.wingIt.style !== null) return JSON.stringify(result.wingIt);
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL WING IT MODE TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,212 @@
+// alignment-adapter.js - One alignment model for BLF-1.0, WThomas and MCP agent configs
+// BLF-1.0: cognitiveProtocol.alignment { aiCognitive, buffer, booleanMindQs }
+// WThomas: cognitiveAlignment { aiCognitiveCapabilities, safetyBuffer, booleanMindQuantumSpeed }
+// Agents:  { aiCapabilities, safetyBuffer, booleanMindQs } (Smith: cognitiveLimit + safetyBuffer)
+
+const { deepMerge } = require('./config-history.js');
+
+const CURRENT_BLF_VERSION = "BLF-1.0";
+const FORMATS = ["blf", "wthomas", "agents"];
+
+// Canonical field -> every name it has gone by, canonical name first
+const FIELD_ALIASES = {
+  aiCognitive: ["aiCognitive", "aiCognitiveCapabilities", "aiCapabilities", "cognitiveLimit"],
+  buffer: ["buffer", "safetyBuffer"],
+  booleanMindQs: ["booleanMindQs", "booleanMindQuantumSpeed", "bmQuantumSpeed"],
+  llsdtRate: ["llsdtRate"],
+  enforceBuffer: ["enforceBuffer"]
+};
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Drop undefined entries so merges never write `key: undefined`
+const defined = entries => Object.fromEntries(Object.entries(entries).filter(([, value]) => value !== undefined));
+
+function readAliases(source = {}) {
+  return defined(Object.fromEntries(Object.entries(FIELD_ALIASES).map(([field, names]) => [
+    field,
+    names.map(name => source[name]).find(value => value !== undefined)
+  ])));
+}
+
+// Unversioned BLF configs predate apiVersion and may use any alignment alias; each step
+// upgrades one version, so future versions only add an entry here
+const BLF_MIGRATIONS = {
+  unversioned: config => {
+    const { formula, ...alignment } = config.cognitiveProtocol?.alignment ?? {};
+    const migrated = { ...config, apiVersion: "BLF-1.0" };
+    if (config.cognitiveProtocol?.alignment) {
+      const { llsdtRate, enforceBuffer, ...fields } = readAliases(alignment);
+      migrated.cognitiveProtocol = {
+        ...config.cognitiveProtocol,
+        alignment: defined({ formula, ...fields }),
+        ...(llsdtRate !== undefined && {
+          safety: { ...config.cognitiveProtocol.safety, llsdtRate: config.cognitiveProtocol.safety?.llsdtRate ?? llsdtRate }
+        })
+      };
+    }
+    return migrated;
+  }
+};
+
+// Upgrade a BLF config to CURRENT_BLF_VERSION; current configs come back unchanged
+function migrateBLFConfig(config) {
+  let migrated = config;
+  let version = migrated.apiVersion ?? "unversioned";
+
+  while (version !== CURRENT_BLF_VERSION) {
+    const step = BLF_MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from ${version} to ${CURRENT_BLF_VERSION}`);
+    migrated = step(migrated);
+    version = migrated.apiVersion;
+  }
+  return migrated;
+}
+
+// "blf" | "wthomas" | "agents" | null
+function detectAlignmentFormat(config) {
+  if (!isObject(config)) return null;
+  if (typeof config.apiVersion === "string" || isObject(config.cognitiveProtocol)) return "blf";
+
+  const nested = config.cognitiveAlignment;
+  if (isObject(nested)) {
+    return "aiCapabilities" in nested || "booleanMindQs" in nested ? "agents" : "wthomas";
+  }
+  if ("aiCapabilities" in config || "cognitiveLimit" in config) return "agents";
+  return null;
+}
+
+// Agents keep alignment either flat on the agent or under cognitiveAlignment
+const agentFields = config => (isObject(config.cognitiveAlignment) ? config.cognitiveAlignment : config);
+
+const ADAPTERS = {
+  blf: {
+    read: config => {
+      const migrated = migrateBLFConfig(config);
+      return readAliases({
+        ...migrated.cognitiveProtocol?.alignment,
+        llsdtRate: migrated.cognitiveProtocol?.safety?.llsdtRate
+      });
+    },
+    write: (alignment, base) => deepMerge(migrateBLFConfig(base), {
+      apiVersion: CURRENT_BLF_VERSION,
+      cognitiveProtocol: defined({
+        alignment: defined({
+          formula: alignment.buffer !== undefined ? `AIc + ${alignment.buffer} = BMqs` : undefined,
+          aiCognitive: alignment.aiCognitive,
+          buffer: alignment.buffer,
+          booleanMindQs: alignment.booleanMindQs
+        }),
+        safety: alignment.llsdtRate !== undefined ? { llsdtRate: alignment.llsdtRate } : undefined
+      })
+    })
+  },
+  wthomas: {
+    read: config => readAliases(config.cognitiveAlignment),
+    write: (alignment, base) => deepMerge(base, {
+      cognitiveAlignment: defined({
+        aiCognitiveCapabilities: alignment.aiCognitive,
+        booleanMindQuantumSpeed: alignment.booleanMindQs,
+        safetyBuffer: alignment.buffer,
+        enforceBuffer: alignment.enforceBuffer,
+        llsdtRate: alignment.llsdtRate
+      })
+    })
+  },
+  agents: {
+    read: config => readAliases(agentFields(config)),
+    write: (alignment, base) => {
+      const fields = { aiCapabilities: alignment.aiCognitive, safetyBuffer: alignment.buffer, booleanMindQs: alignment.booleanMindQs };
+      return isObject(base.cognitiveAlignment)
+        ? deepMerge(base, { cognitiveAlignment: fields })
+        : deepMerge(base, fields);
+    }
+  }
+};
+
+function adapterFor(format) {
+  const adapter = ADAPTERS[format];
+  if (!adapter) throw new Error(`Unknown alignment format "${format}" (expected ${FORMATS.join(", ")})`);
+  return adapter;
+}
+
+// Canonical alignment { aiCognitive, buffer, booleanMindQs, llsdtRate?, enforceBuffer? };
+// a missing booleanMindQs (Smith only stores cognitiveLimit) is derived as AIc + buffer
+function toCanonicalAlignment(config, format = detectAlignmentFormat(config)) {
+  const alignment = adapterFor(format).read(config);
+  if (alignment.booleanMindQs === undefined && alignment.aiCognitive !== undefined && alignment.buffer !== undefined) {
+    alignment.booleanMindQs = Number((alignment.aiCognitive + alignment.buffer).toFixed(10));
+  }
+  return alignment;
+}
+
+// Write a canonical alignment into a config of the given format; other keys in base are kept
+function fromCanonicalAlignment(alignment, format, base = {}) {
+  return adapterFor(format).write(alignment, base);
+}
+
+function convertAlignment(config, format, options = {}) {
+  const from = options.from ?? detectAlignmentFormat(config);
+  return fromCanonicalAlignment(toCanonicalAlignment(config, from), format, options.base);
+}
+
+// Full BLF-1.0 config from a WThomas config or preset (BLF configs are only migrated)
+function toBLFConfig(config) {
+  const format = detectAlignmentFormat(config);
+  if (format === "blf") return migrateBLFConfig(config);
+
+  const speed = config.quantumSpeed || {};
+  const protocols = config.responseProtocols || {};
+  const base = {
+    apiVersion: CURRENT_BLF_VERSION,
+    cognitiveProtocol: {
+      processingModel: "quantum_speed",
+      jumps: {
+        enabled: speed.allowJumps ?? true,
+        maxDistance: speed.maxJumpDistance ?? 3,
+        power: "v8_to_charger"
+      },
+      safety: { heatShield: true, llsdtRate: 0.1 }
+    },
+    ...(config.responseProtocols && {
+      responseProtocols: defined({
+        prioritize: protocols.prioritize,
+        eliminate: protocols.eliminate,
+        structure: protocols.structure,
+        format: protocols.format
+      })
+    }),
+    ...(config.conceptExtraction && { conceptExtraction: config.conceptExtraction }),
+    ...(config.randomSeed != null && { randomSeed: config.randomSeed })
+  };
+
+  return format ? fromCanonicalAlignment(toCanonicalAlignment(config, format), "blf", base) : base;
+}
+
+// Partial WThomas config from a BLF config, to merge over WThomas defaults
+function toWThomasConfig(config) {
+  const format = detectAlignmentFormat(config);
+  if (format !== "blf") return format ? convertAlignment(config, "wthomas", { from: format }) : {};
+
+  const migrated = migrateBLFConfig(config);
+  const jumps = migrated.cognitiveProtocol?.jumps || {};
+  return fromCanonicalAlignment(toCanonicalAlignment(migrated, "blf"), "wthomas", defined({
+    quantumSpeed: Object.keys(jumps).length > 0
+      ? defined({ allowJumps: jumps.enabled, maxJumpDistance: jumps.maxDistance })
+      : undefined,
+    responseProtocols: migrated.responseProtocols,
+    conceptExtraction: migrated.conceptExtraction
+  }));
+}
+
+module.exports = {
+  CURRENT_BLF_VERSION,
+  FORMATS,
+  migrateBLFConfig,
+  detectAlignmentFormat,
+  toCanonicalAlignment,
+  fromCanonicalAlignment,
+  convertAlignment,
+  toBLFConfig,
+  toWThomasConfig
+};
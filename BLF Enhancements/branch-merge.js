@@ -0,0 +1,96 @@
+// branch-merge.js - Branch tree helpers and merge policies for applyBranchingTheory
+// Policies: "union" (above mergeThreshold), "priority-first", "confidence-weighted"
+
+// Depth-first list of every node in a branch tree
+function flattenBranches(branches) {
+  return branches.flatMap(branch => [branch, ...flattenBranches(branch.children || [])]);
+}
+
+// Inspectable tree: configs and AI metrics stay out, connections become counts
+function summarizeBranchTree(branches) {
+  return branches.map(branch => ({
+    type: branch.type,
+    concept: branch.concept,
+    depth: branch.depth,
+    priority: branch.priority,
+    confidence: branch.confidence,
+    connections: branch.connections.length,
+    alignmentValid: branch.alignmentValid?.valid ?? null,
+    children: summarizeBranchTree(branch.children || [])
+  }));
+}
+
+const connectionKey = conn => `${conn.from}→${conn.to}`;
+
+// Every connection from nodes at or above mergeThreshold
+function unionPolicy(nodes, { mergeThreshold }) {
+  const merged = nodes.filter(node => node.confidence >= mergeThreshold);
+  return {
+    nodes: merged,
+    connections: merged.flatMap(node =>
+      node.connections.map(conn => ({ ...conn, confidence: conn.strength, branch: node.type }))
+    )
+  };
+}
+
+// Only the highest-priority branch type that produced nodes; its own confidence decides ties
+function priorityFirstPolicy(nodes) {
+  const best = [...nodes].sort((a, b) =>
+    (a.priority ?? Infinity) - (b.priority ?? Infinity) || b.confidence - a.confidence
+  )[0];
+  const merged = best ? nodes.filter(node => node.type === best.type) : [];
+
+  return {
+    nodes: merged,
+    connections: merged.flatMap(node =>
+      node.connections.map(conn => ({ ...conn, confidence: conn.strength, branch: node.type }))
+    )
+  };
+}
+
+// All nodes; a connection's confidence is its strength weighted by branch confidence,
+// shallower nodes counting more; duplicates keep the best weight
+function confidenceWeightedPolicy(nodes) {
+  const byKey = new Map();
+
+  nodes.forEach(node => {
+    node.connections.forEach(conn => {
+      const confidence = conn.strength * node.confidence / (node.depth + 1);
+      const existing = byKey.get(connectionKey(conn));
+      if (!existing || existing.confidence < confidence) {
+        byKey.set(connectionKey(conn), { ...conn, confidence, branch: node.type });
+      }
+    });
+  });
+
+  return { nodes, connections: [...byKey.values()] };
+}
+
+const MERGE_POLICIES = {
+  "union": unionPolicy,
+  "priority-first": priorityFirstPolicy,
+  "confidence-weighted": confidenceWeightedPolicy
+};
+
+function mergeBranches(nodes, options = {}) {
+  const policy = options.policy || "union";
+  const merge = MERGE_POLICIES[policy];
+
+  if (!merge) {
+    throw new Error(`Unknown merge policy: ${policy} (expected ${Object.keys(MERGE_POLICIES).join(", ")})`);
+  }
+
+  const result = merge(nodes, { mergeThreshold: options.mergeThreshold ?? 0 });
+  return {
+    policy,
+    nodes: result.nodes,
+    connections: result.connections.sort((a, b) => b.confidence - a.confidence)
+  };
+}
+
+module.exports = {
+  MERGE_POLICIES,
+  flattenBranches,
+  summarizeBranchTree,
+  mergeBranches
+};
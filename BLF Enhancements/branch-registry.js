@@ -0,0 +1,47 @@
+// branch-registry.js - Registry over branchingTheory.branches
+// Any entry { enabled, priority, threshold, config } becomes a branch; no hard-coded branch names
+
+class BranchRegistry {
+  // Wraps the config's branches object by reference so runtime registrations show up in config
+  constructor(branches = {}) {
+    this.branches = branches;
+  }
+
+  register(name, definition = {}) {
+    if (!definition.config || typeof definition.config !== "object") {
+      throw new Error(`Branch "${name}" needs a subset config`);
+    }
+
+    this.branches[name] = {
+      enabled: true,
+      priority: Object.keys(this.branches).length + 1,
+      ...definition
+    };
+    return this.branches[name];
+  }
+
+  unregister(name) {
+    return delete this.branches[name];
+  }
+
+  get(name) {
+    return this.branches[name] || null;
+  }
+
+  // Enabled branches, lowest priority number first; ties keep config order
+  enabled() {
+    return Object.entries(this.branches)
+      .filter(([, branch]) => branch && branch.enabled)
+      .map(([name, branch]) => ({ name, ...branch }))
+      .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity));
+  }
+
+  // Branch subsets must carry quantum speed and response protocols to be processed
+  isProcessable(branch) {
+    return Boolean(branch?.enabled && branch.config?.quantumSpeed && branch.config?.responseProtocols);
+  }
+}
+
+module.exports = {
+  BranchRegistry
+};
@@ -0,0 +1,114 @@
+// communication-profiles.js - Renders WThomas responses for a recipient type
+// Profiles come from responseProtocols.communicationTypes (agent, betaReaders, fans, ...)
+
+// Tone words -> how the answer opens; first match wins. Only acknowledgements - the renderer
+// never adds first-person statements the author didn't write
+const TONE_OPENERS = [
+  ["grateful", "Thanks for this."],
+  ["appreciative", "Thanks for reading."],
+  ["collaborative", "Here's where things stand."],
+  ["firm", "Straight answer."]
+];
+
+// Format's leading word -> how the supporting detail bullets are laid out under their heading
+const DETAIL_LAYOUTS = {
+  clear: (heading, lines) => [heading, ...lines.map(line => `- ${line}`)].join("\n"),
+  structured: (heading, lines) => [heading, ...lines.map((line, index) => `${index + 1}. ${line}`)].join("\n"),
+  personal: (heading, lines) => [heading, ...lines.map(line => (/[.!?]$/.test(line) ? line : `${line}.`))].join(" ")
+};
+
+// "betaReaders", "beta_readers" and "Beta Readers" are the same recipient
+function normalizeRecipient(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Find the profile for a recipient in a subset config; singular names match plural types ("fan" -> "fans")
+function selectProfile(subsetConfig, recipient) {
+  const types = subsetConfig?.responseProtocols?.communicationTypes;
+  if (!types || !recipient) return null;
+
+  const wanted = normalizeRecipient(recipient);
+  const match = Object.keys(types).find(type => {
+    const candidate = normalizeRecipient(type);
+    return candidate === wanted || candidate === `${wanted}s`;
+  });
+
+  return match ? { type: match, ...types[match] } : null;
+}
+
+// "within_24_hours" -> 24
+function responseHours(responseTime) {
+  const match = /(\d+)_?(hour|day)/.exec(responseTime || "");
+  if (!match) return null;
+  return Number(match[1]) * (match[2] === "day" ? 24 : 1);
+}
+
+// Focus topics the input mentions come first, the rest keep profile order
+function orderFocusTopics(focus = [], text = "") {
+  const lower = String(text).toLowerCase();
+  const mentioned = topic => topic.split("_").some(word => word.length > 3 && lower.includes(word));
+  return [...focus.filter(mentioned), ...focus.filter(topic => !mentioned(topic))];
+}
+
+function phraseFor(table, tone) {
+  return table.find(([word]) => tone.includes(word))?.[1] || null;
+}
+
+// "Supporting information: \n- a\n- b" -> heading + ["a", "b"], relaid for the profile's format
+function layoutDetails(details, format = "") {
+  const [heading, ...lines] = String(details ?? "").split("\n- ");
+  const layout = DETAIL_LAYOUTS[format.split("_")[0]];
+  if (!layout || lines.length === 0) return details;
+
+  return layout(heading.trim(), lines.map(line => line.trim()));
+}
+
+// Apply tone, format, focus ordering and professional/personal balance to a generateResponse result
+function renderWithProfile(response, profile, inputText = "") {
+  const tone = profile.tone || "";
+  const balance = {
+    professional: profile.emotionalBalance?.professional ?? 1,
+    personal: profile.emotionalBalance?.personal ?? 0
+  };
+  const focusOrder = orderFocusTopics(profile.focus, inputText);
+
+  const parts = [];
+  const opener = phraseFor(TONE_OPENERS, tone);
+  if (opener) parts.push(opener);
+  parts.push(response.directAnswer);
+
+  let supportingDetails = response.supportingDetails;
+  if (focusOrder.length > 0) {
+    supportingDetails += `\n- Focus: ${focusOrder.map(topic => topic.replace(/_/g, " ")).join(", ")}`;
+  }
+
+  // Personal-leaning profiles close on the relationship, professional ones on next steps
+  parts.push(balance.personal > balance.professional
+    ? "Thanks for being part of this."
+    : `Next update ${profile.responseTime ? profile.responseTime.replace(/_/g, " ") : "soon"}.`);
+
+  return {
+    ...response,
+    directAnswer: parts.join(" "),
+    supportingDetails: layoutDetails(supportingDetails, profile.format),
+    communicationProfile: {
+      type: profile.type,
+      style: profile.style,
+      tone: profile.tone,
+      format: profile.format,
+      focusOrder,
+      balance,
+      responseTime: profile.responseTime || null,
+      responseHours: responseHours(profile.responseTime)
+    }
+  };
+}
+
+module.exports = {
+  normalizeRecipient,
+  selectProfile,
+  responseHours,
+  orderFocusTopics,
+  layoutDetails,
+  renderWithProfile
+};
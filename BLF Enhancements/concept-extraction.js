@@ -0,0 +1,130 @@
+// concept-extraction.js - Concept extraction pipeline shared by WThomas, BLFProcessor and the search tool
+// tokenize -> stop words -> multi-word phrases -> stemming -> domain tagging against the concept graph
+
+const { ConceptGraph, loadConceptGraph } = require('./concept-graph.js');
+
+const STOP_WORDS = [
+  "a", "about", "after", "again", "all", "also", "an", "and", "any", "are", "as", "at", "be", "because",
+  "been", "before", "being", "between", "both", "but", "by", "can", "could", "did", "do", "does", "doing",
+  "each", "for", "from", "further", "had", "has", "have", "having", "he", "her", "here", "him", "his",
+  "how", "i", "if", "in", "into", "is", "it", "its", "just", "like", "me", "more", "most", "my", "no",
+  "nor", "not", "now", "of", "off", "on", "once", "only", "or", "other", "our", "out", "over", "own",
+  "same", "she", "should", "so", "some", "such", "than", "that", "the", "their", "them", "then", "there",
+  "these", "they", "this", "those", "through", "to", "too", "under", "until", "up", "very", "was", "we",
+  "were", "what", "when", "where", "which", "while", "who", "whom", "why", "will", "with", "would", "you",
+  "your"
+];
+
+// Per-subset overrides go under a subset's `conceptExtraction` key
+const DEFAULT_EXTRACTION = {
+  minLength: 4,          // Shorter tokens are dropped unless the concept graph knows them
+  stopWords: STOP_WORDS,
+  extraStopWords: [],
+  stemming: true,
+  phrases: [],           // Extra multi-word concepts beyond the graph's ("point_of_view")
+  maxPhraseLength: 3,
+  knownOnly: false       // Keep only concepts the graph knows
+};
+
+let defaultGraph = null;
+
+// Jump markers ("[DIRECT JUMP: music]") are annotations, not content
+function tokenize(text) {
+  if (typeof text !== "string") return [];
+  return text
+    .replace(/\[[^\]]*\]/g, " ")
+    .toLowerCase()
+    .split(/[^a-z0-9'\-]+/)
+    .map(token => token.replace(/^['\-]+|['\-]+$/g, "").replace(/'s$/, ""))
+    .filter(Boolean);
+}
+
+// Light suffix stripping - enough to bring plurals and verb forms together.
+// Stems are lookup keys for the concept graph, never concepts of their own
+function stem(word) {
+  // Verb endings only come off when a vowel is left: "spring" and "string" are not "spr" + ing
+  const rules = [
+    [/ies$/, "y"], [/sses$/, "ss"], [/([^siu])s$/, "$1"],
+    [/ational$/, "ate"], [/ization$/, "ize"], [/ments?$/, ""],
+    [/ingly$/, "", true], [/edly$/, "", true], [/ing$/, "", true], [/([^e])ed$/, "$1", true], [/ly$/, ""]
+  ];
+
+  for (const [pattern, replacement, verb] of rules) {
+    const stemmed = word.replace(pattern, replacement);
+    if (stemmed === word) continue;
+    if (stemmed.length < 3 || (verb && !/[aeiouy]/.test(stemmed))) return word;
+    return stemmed;
+  }
+  return word;
+}
+
+// The form the graph knows, else the word as written
+function resolveConcept(word, graph, settings) {
+  if (graph.hasConcept(word)) return word;
+  if (!settings.stemming) return word;
+
+  // "hallucination" finds "hallucinations", "improvising" finds "improvisation"
+  const stemmed = stem(word);
+  const known = ["", "s", "e", "ation"].map(suffix => stemmed + suffix).find(form => graph.hasConcept(form));
+  return known || word;
+}
+
+// Detailed results: [{ concept, tokens, domains, known, phrase }]
+function extractConceptDetails(text, options = {}) {
+  const graph = options.conceptGraph || (defaultGraph ||= loadConceptGraph());
+  const settings = { ...DEFAULT_EXTRACTION, ...options };
+  const stopWords = new Set([...settings.stopWords, ...settings.extraStopWords]);
+  const extraPhrases = new Set(settings.phrases.map(ConceptGraph.normalize));
+  const tokens = tokenize(text);
+  const found = new Map();
+
+  const add = (concept, words, phrase) => {
+    if (found.has(concept)) return;
+    const known = graph.hasConcept(concept);
+    found.set(concept, { concept, tokens: words, domains: known ? graph.domainsOf(concept) : [], known, phrase });
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    // Longest phrase starting here wins: "boolean mind" before "boolean"
+    let consumed = 0;
+    for (let length = Math.min(settings.maxPhraseLength, tokens.length - i); length >= 2; length--) {
+      const words = tokens.slice(i, i + length);
+      if (stopWords.has(words[0]) || stopWords.has(words[length - 1])) continue;
+
+      const candidates = [words.join("_"), [...words.slice(0, -1), stem(words[length - 1])].join("_")];
+      const match = candidates.find(candidate => graph.hasConcept(candidate) || extraPhrases.has(candidate));
+      if (match) {
+        add(match, words, true);
+        consumed = length;
+        break;
+      }
+    }
+    if (consumed > 0) {
+      i += consumed - 1;
+      continue;
+    }
+
+    const word = tokens[i];
+    if (stopWords.has(word)) continue;
+    const concept = resolveConcept(word, graph, settings);
+    if (word.length < settings.minLength && !graph.hasConcept(concept)) continue;
+    add(concept, [word], false);
+  }
+
+  const results = [...found.values()];
+  return settings.knownOnly ? results.filter(result => result.known) : results;
+}
+
+// Concept names only, in order of first appearance
+function extractConcepts(text, options = {}) {
+  return extractConceptDetails(text, options).map(result => result.concept);
+}
+
+module.exports = {
+  STOP_WORDS,
+  DEFAULT_EXTRACTION,
+  tokenize,
+  stem,
+  extractConceptDetails,
+  extractConcepts
+};
@@ -0,0 +1,208 @@
+// concept-graph.js - Concept knowledge graph for WThomas quantum jumps
+// Concepts are tagged with domains; weighted edges give real jump distances
+
+const fs = require('fs');
+const path = require('path');
+const { loadNJSONFile } = require(path.join(
+  __dirname, '..', 'Library', 'CloudStorage', 'Dropbox', 'Observational Mathematics',
+  'wade-implementation', 'njson-parser.js'
+));
+
+// Domains used by applyDirectJump
+const DOMAINS = [
+  "music", "science", "philosophy", "art", "technology",
+  "history", "psychology", "literature", "mathematics"
+];
+
+const DEFAULT_GRAPH_FILE = path.join(__dirname, 'concept-graph.json');
+
+class ConceptGraph {
+  constructor() {
+    this.concepts = new Map();  // id -> { id, domains }
+    this.edges = new Map();     // id -> Map(neighborId -> { distance, strength })
+  }
+
+  // Lowercase and strip punctuation so "Music," and "music" are the same concept
+  static normalize(concept) {
+    return String(concept).toLowerCase().replace(/[^a-z0-9_\-]/g, "");
+  }
+
+  addConcept(concept, domains = []) {
+    const id = ConceptGraph.normalize(concept);
+    const existing = this.concepts.get(id);
+
+    if (existing) {
+      domains.forEach(domain => {
+        if (!existing.domains.includes(domain)) existing.domains.push(domain);
+      });
+      return existing;
+    }
+
+    const node = { id, domains: [...domains] };
+    this.concepts.set(id, node);
+    this.edges.set(id, new Map());
+    return node;
+  }
+
+  // Edges are undirected; distance drives shortest paths, strength seeds connection confidence
+  addEdge(from, to, distance = 1, strength = 1.0) {
+    if (!(distance > 0)) {
+      throw new Error(`Edge distance must be positive: ${from} -> ${to}`);
+    }
+
+    const a = this.addConcept(from).id;
+    const b = this.addConcept(to).id;
+    this.edges.get(a).set(b, { distance, strength });
+    this.edges.get(b).set(a, { distance, strength });
+  }
+
+  hasConcept(concept) {
+    return this.concepts.has(ConceptGraph.normalize(concept));
+  }
+
+  domainsOf(concept) {
+    return this.concepts.get(ConceptGraph.normalize(concept))?.domains || [];
+  }
+
+  // Direct neighbors, strongest first
+  neighbors(concept) {
+    const id = ConceptGraph.normalize(concept);
+    const edges = this.edges.get(id);
+    if (!edges) return [];
+
+    return [...edges.entries()]
+      .map(([neighbor, edge]) => ({ concept: neighbor, ...edge, domains: this.domainsOf(neighbor) }))
+      .sort((a, b) => b.strength - a.strength);
+  }
+
+  // Neighbors as WThomas connections
+  connectionsFrom(concept) {
+    const from = ConceptGraph.normalize(concept);
+
+    return this.neighbors(concept).map(neighbor => ({
+      from,
+      to: neighbor.concept,
+      strength: neighbor.strength,
+      jumpDistance: neighbor.distance,
+      domains: neighbor.domains
+    }));
+  }
+
+  // Domains one jump away from the given concepts that they don't already belong to
+  jumpDomains(concepts) {
+    const own = new Set(concepts.flatMap(concept => this.domainsOf(concept)));
+    const reachable = new Set();
+
+    concepts.forEach(concept => {
+      this.neighbors(concept).forEach(neighbor => {
+        neighbor.domains.forEach(domain => {
+          if (!own.has(domain)) reachable.add(domain);
+        });
+      });
+    });
+
+    return [...reachable];
+  }
+
+  // Dijkstra shortest path; null when either concept is unknown or unreachable
+  shortestPath(from, to) {
+    const start = ConceptGraph.normalize(from);
+    const goal = ConceptGraph.normalize(to);
+    if (!this.concepts.has(start) || !this.concepts.has(goal)) return null;
+
+    const distances = new Map([[start, 0]]);
+    const previous = new Map();
+    const visited = new Set();
+
+    while (true) {
+      // Graphs are small; a linear scan beats maintaining a heap
+      let current = null;
+      for (const [id, distance] of distances) {
+        if (!visited.has(id) && (current === null || distance < distances.get(current))) {
+          current = id;
+        }
+      }
+
+      if (current === null) return null;
+      if (current === goal) break;
+      visited.add(current);
+
+      for (const [neighbor, edge] of this.edges.get(current)) {
+        const candidate = distances.get(current) + edge.distance;
+        if (!distances.has(neighbor) || candidate < distances.get(neighbor)) {
+          distances.set(neighbor, candidate);
+          previous.set(neighbor, current);
+        }
+      }
+    }
+
+    const route = [goal];
+    while (route[0] !== start) route.unshift(previous.get(route[0]));
+
+    return { distance: distances.get(goal), path: route };
+  }
+
+  jumpDistance(from, to) {
+    return this.shortestPath(from, to)?.distance ?? null;
+  }
+
+  // Plain JSON form, readable by load()
+  toJSON() {
+    const concepts = {};
+    for (const { id, domains } of this.concepts.values()) {
+      concepts[id] = { domains };
+    }
+
+    const edges = [];
+    for (const [from, neighbors] of this.edges) {
+      for (const [to, { distance, strength }] of neighbors) {
+        if (from < to) edges.push({ from, to, distance, strength });
+      }
+    }
+
+    return { concepts, edges };
+  }
+
+  save(filePath = DEFAULT_GRAPH_FILE) {
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2) + "\n");
+  }
+
+  static fromJSON(data = {}) {
+    const graph = new ConceptGraph();
+
+    Object.entries(data.concepts || {}).forEach(([concept, info]) => {
+      graph.addConcept(concept, info?.domains || []);
+    });
+    (data.edges || []).forEach(edge => {
+      graph.addEdge(edge.from, edge.to, edge.distance ?? 1, edge.strength ?? 1.0);
+    });
+
+    return graph;
+  }
+
+  // Load from .json or .njson (NJSON files may carry comments and Wade-style broken syntax)
+  static load(filePath = DEFAULT_GRAPH_FILE) {
+    const data = filePath.endsWith('.njson')
+      ? loadNJSONFile(filePath, { mode: "lenient", validate: false, quiet: true })
+      : JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    return ConceptGraph.fromJSON(data);
+  }
+}
+
+// Load a graph file, falling back to an empty graph so WThomas still runs without one
+function loadConceptGraph(filePath = DEFAULT_GRAPH_FILE) {
+  try {
+    return ConceptGraph.load(filePath);
+  } catch (error) {
+    console.warn(`Concept graph not loaded from ${filePath}: ${error.message}`);
+    return new ConceptGraph();
+  }
+}
+
+module.exports = {
+  DOMAINS,
+  DEFAULT_GRAPH_FILE,
+  ConceptGraph,
+  loadConceptGraph
+};
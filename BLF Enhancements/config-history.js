@@ -0,0 +1,118 @@
+// config-history.js - Deep-merge config updates with a bounded, revertible history
+// updateConfig({ quantumSpeed: { level: 2.5 } }) keeps the other quantumSpeed keys;
+// DELETE (or { $delete: true } in JSON) removes a key
+
+const DELETE = Symbol.for("wthomas.config.delete");
+
+const isPlainObject = value =>
+  value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+const isDeleteMarker = value => value === DELETE || (isPlainObject(value) && value.$delete === true);
+
+// Deep copy of plain objects and arrays; functions and other values are shared
+function cloneConfig(value) {
+  if (Array.isArray(value)) return value.map(cloneConfig);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, cloneConfig(entry)]));
+}
+
+// New object: objects merge key by key, arrays and scalars replace, delete markers remove
+function deepMerge(base, patch) {
+  if (!isPlainObject(patch)) return cloneConfig(patch);
+
+  const result = isPlainObject(base) ? cloneConfig(base) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (isDeleteMarker(value)) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else {
+      result[key] = cloneConfig(value);
+    }
+  }
+  return result;
+}
+
+// Leaf-level changes: [{ path, kind: "added" | "removed" | "changed", before, after }]
+function diffConfig(before, after, path = "") {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in after)) return [{ path: childPath, kind: "removed", before: before[key], after: undefined }];
+      if (!(key in before)) return [{ path: childPath, kind: "added", before: undefined, after: after[key] }];
+      return diffConfig(before[key], after[key], childPath);
+    });
+  }
+
+  const same = Array.isArray(before) && Array.isArray(after)
+    ? JSON.stringify(before) === JSON.stringify(after)
+    : Object.is(before, after);
+  return same ? [] : [{ path, kind: "changed", before, after }];
+}
+
+// Versions are numbered from 1; moving back and then recording drops the undone versions
+class ConfigHistory {
+  constructor(limit = 20) {
+    this.limit = limit;
+    this.entries = [];
+    this.currentIndex = -1;
+    this.nextVersion = 1;
+  }
+
+  record(config, reason = "update") {
+    const previous = this.current();
+    const entry = {
+      version: this.nextVersion++,
+      timestamp: Date.now(),
+      reason,
+      config: cloneConfig(config),
+      changes: previous ? diffConfig(previous.config, config) : []
+    };
+
+    this.entries = [...this.entries.slice(0, this.currentIndex + 1), entry].slice(-this.limit);
+    this.currentIndex = this.entries.length - 1;
+    return entry.version;
+  }
+
+  current() {
+    return this.entries[this.currentIndex] || null;
+  }
+
+  get(version) {
+    return this.entries.find(entry => entry.version === version) || null;
+  }
+
+  // Make an earlier (or undone) version current; returns a copy of its config
+  moveTo(version) {
+    const index = this.entries.findIndex(entry => entry.version === version);
+    if (index === -1) {
+      const kept = this.entries.map(entry => entry.version);
+      throw new Error(`Config version ${version} is not in history (kept: ${kept.join(", ") || "none"})`);
+    }
+    this.currentIndex = index;
+    return cloneConfig(this.entries[index].config);
+  }
+
+  previousVersion() {
+    return this.entries[this.currentIndex - 1]?.version ?? null;
+  }
+
+  list() {
+    return this.entries.map((entry, index) => ({
+      version: entry.version,
+      timestamp: entry.timestamp,
+      reason: entry.reason,
+      current: index === this.currentIndex,
+      changes: entry.changes.map(change => change.path)
+    }));
+  }
+}
+
+module.exports = {
+  DELETE,
+  cloneConfig,
+  deepMerge,
+  diffConfig,
+  ConfigHistory
+};
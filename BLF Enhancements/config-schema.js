@@ -0,0 +1,224 @@
+// config-schema.js - Declarative schema and validator for WThomas configurations
+// Reports unknown keys (with a "did you mean"), wrong types, out-of-range values and enum mismatches
+
+const { LEVELS } = require('./interpretation-registry.js');
+const { MERGE_POLICIES } = require('./branch-merge.js');
+
+// Schema builders - every field is optional unless `required` is set
+const number = (options = {}) => ({ type: "number", ...options });
+const integer = (options = {}) => ({ type: "number", integer: true, ...options });
+const boolean = (options = {}) => ({ type: "boolean", ...options });
+const string = (options = {}) => ({ type: "string", ...options });
+const oneOf = (values, options = {}) => ({ type: "string", enum: values, ...options });
+const arrayOf = (items, options = {}) => ({ type: "array", items, ...options });
+const object = (properties, options = {}) => ({ type: "object", properties, ...options });
+const mapOf = (values, options = {}) => ({ type: "map", values, ...options });
+
+const COGNITIVE_ALIGNMENT = object({
+  aiCognitiveCapabilities: number({ min: 0, required: true }),
+  booleanMindQuantumSpeed: number({ min: 0, required: true }),
+  safetyBuffer: number({ min: 0, max: 1, required: true }),
+  enforceBuffer: boolean(),
+  anthropicOptimization: boolean(),
+  llsdtRate: number({ min: 0.01, max: 0.1 })
+});
+
+const QUANTUM_SPEED = object({
+  level: number({ min: 0, max: 3, required: true }),
+  domainRange: string(),
+  allowJumps: boolean(),
+  maxJumpDistance: integer({ min: 1 }),
+  subjectIdentification: boolean()
+});
+
+// Subset protocols carry open-ended sections (communicationTypes, socialPadding)
+const RESPONSE_PROTOCOLS = object({
+  prioritize: string(),
+  eliminate: string(),
+  structure: string(),
+  format: string(),
+  feedback: string(),
+  communicationTypes: object({}, { additional: true }),
+  socialPadding: object({}, { additional: true })
+});
+
+const CONCEPT_EXTRACTION = object({
+  minLength: integer({ min: 1 }),
+  stopWords: arrayOf(string()),
+  extraStopWords: arrayOf(string()),
+  stemming: boolean(),
+  phrases: arrayOf(string()),
+  maxPhraseLength: integer({ min: 1 }),
+  knownOnly: boolean()
+});
+
+// A branching theory subset (testSubsets.familyFriends, ...)
+const SUBSET_SCHEMA = object({
+  cognitiveAlignment: COGNITIVE_ALIGNMENT,
+  quantumSpeed: QUANTUM_SPEED,
+  responseProtocols: RESPONSE_PROTOCOLS,
+  conceptExtraction: CONCEPT_EXTRACTION
+});
+
+const AMF = object({
+  personality: number({ min: 0, max: 1, required: true }),
+  intelligence: number({ min: 0 }),
+  chaosProcessing: number({ min: 0 }),
+  velocityAdjustment: number({ min: 0 })
+});
+
+// A resolved preset file (presets/*.json): a subset plus an optional AMF and description
+const PRESET_SCHEMA = object({
+  ...SUBSET_SCHEMA.properties,
+  description: string(),
+  AMF
+});
+
+const WTHOMAS_CONFIG_SCHEMA = object({
+  randomSeed: { type: ["number", "string"], nullable: true },
+  random: { type: "function" },
+  AMF: { ...AMF, required: true },
+  einsteinParadox: object({
+    allowParadoxicalThinking: boolean(),
+    approximationLevel: oneOf(LEVELS),
+    selfReferenceEnabled: boolean()
+  }, { required: true }),
+  cognitiveAlignment: { ...COGNITIVE_ALIGNMENT, required: true },
+  quantumSpeed: { ...QUANTUM_SPEED, required: true },
+  conceptExtraction: CONCEPT_EXTRACTION,
+  responseProtocols: { ...RESPONSE_PROTOCOLS, required: true },
+  conceptGraph: object({ file: string() }),
+  connectionStore: object({
+    type: oneOf(["jsonl", "table"]),
+    file: string({ required: true }),
+    halfLifeDays: number({ min: 0 })
+  }),
+  branchingTheory: object({
+    enabled: boolean(),
+    maxBranches: integer({ min: 1 }),
+    branchConfidence: number({ min: 0, max: 1 }),
+    mergeThreshold: number({ min: 0, max: 1 }),
+    mergePolicy: oneOf(Object.keys(MERGE_POLICIES)),
+    branchDepth: integer({ min: 1 }),
+    allowParallelProcessing: boolean(),
+    branchValidation: object({
+      enforceCognitiveAlignment: boolean(),
+      requireHeatShield: boolean(),
+      validateQuantumSpeed: boolean()
+    }),
+    branches: mapOf(object({
+      type: string(),
+      enabled: boolean(),
+      priority: number(),
+      threshold: number({ min: 0, max: 1 }),
+      config: { ...SUBSET_SCHEMA, required: true }
+    }))
+  }, { required: true })
+});
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Edit distance for "did you mean" hints on unknown keys
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(key, known) {
+  const best = known
+    .map(candidate => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return best && best.distance <= Math.max(2, Math.floor(key.length / 4)) ? best.candidate : null;
+}
+
+function validateValue(value, schema, path, errors) {
+  const actual = typeOf(value);
+  const expected = schema.type === "map" ? "object" : schema.type;
+  const allowed = Array.isArray(expected) ? expected : [expected];
+
+  if (actual === "null" && schema.nullable) return;
+  if (!allowed.includes(actual)) {
+    errors.push({ path, kind: "type", message: `${path || "config"} should be ${allowed.join(" or ")}, got ${actual}` });
+    return;
+  }
+
+  if (actual === "number") {
+    if (Number.isNaN(value)) errors.push({ path, kind: "type", message: `${path} is NaN` });
+    if (schema.integer && !Number.isInteger(value)) {
+      errors.push({ path, kind: "type", message: `${path} should be an integer, got ${value}` });
+    }
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ path, kind: "range", message: `${path} is ${value}, below the minimum ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ path, kind: "range", message: `${path} is ${value}, above the maximum ${schema.max}` });
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, kind: "enum", message: `${path} is "${value}", expected one of ${schema.enum.join(", ")}` });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (schema.type === "map") {
+    Object.entries(value).forEach(([key, entry]) => validateValue(entry, schema.values, `${path}.${key}`, errors));
+  }
+
+  if (schema.type === "object") {
+    validateObject(value, schema, path, errors);
+  }
+}
+
+function validateObject(value, schema, path, errors) {
+  const known = Object.keys(schema.properties);
+
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined) {
+      if (propertySchema.required) errors.push({ path: childPath, kind: "required", message: `${childPath} is required` });
+      continue;
+    }
+    validateValue(value[key], propertySchema, childPath, errors);
+  }
+
+  if (schema.additional) return;
+  Object.keys(value).filter(key => !known.includes(key)).forEach(key => {
+    const childPath = path ? `${path}.${key}` : key;
+    const hint = suggest(key, known);
+    errors.push({
+      path: childPath,
+      kind: "unknown_key",
+      message: `Unknown key ${childPath}${hint ? ` (did you mean ${hint}?)` : ""}`
+    });
+  });
+}
+
+// { valid, errors: [{ path, kind, message }] } - kind: unknown_key | type | range | enum | required
+function validateConfig(config, schema = WTHOMAS_CONFIG_SCHEMA) {
+  const errors = [];
+  validateValue(config, schema, "", errors);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  WTHOMAS_CONFIG_SCHEMA,
+  SUBSET_SCHEMA,
+  PRESET_SCHEMA,
+  validateConfig
+};
@@ -0,0 +1,89 @@
+// connection-dedup.js - Canonical connection shape and duplicate-edge merging
+// Canonical: { from, to, strength, jumpDistance, timestamp, provenance: ["direct", "branch:professional", ...] }
+
+const { ConceptGraph } = require('./concept-graph.js');
+
+// Older code and stored data use these names for the same endpoints
+const FIELD_ALIASES = {
+  from: ["fromConcept", "source"],
+  to: ["toConcept", "target"]
+};
+
+// How duplicate strengths combine; noisy-or rewards independent passes agreeing.
+// Strengths arrive clamped to [0, 1], so every mode stays in range
+const COMBINE_STRENGTHS = {
+  "noisy-or": strengths => 1 - strengths.reduce((rest, s) => rest * (1 - s), 1),
+  "max": strengths => Math.max(...strengths),
+  "mean": strengths => strengths.reduce((sum, s) => sum + s, 0) / strengths.length
+};
+
+const clampStrength = strength => Math.min(1, Math.max(0, strength));
+
+// Canonical copy of a connection; `provenance` names the pass that produced it when it carries none
+function normalizeConnection(connection, provenance = null) {
+  const { branch, provenance: existing, ...rest } = connection;
+  const normalized = { ...rest };
+
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const value = [field, ...aliases].map(name => connection[name]).find(v => v !== undefined);
+    aliases.forEach(alias => delete normalized[alias]);
+    normalized[field] = value === undefined ? value : ConceptGraph.normalize(value);
+  }
+
+  const sources = [
+    ...(Array.isArray(existing) ? existing : existing ? [existing] : []),
+    ...(branch ? [`branch:${branch}`] : []),
+    ...(provenance ? [provenance] : [])
+  ];
+
+  return {
+    ...normalized,
+    strength: connection.strength ?? 0.5,
+    jumpDistance: connection.jumpDistance ?? 1,
+    timestamp: connection.timestamp ?? null,
+    provenance: [...new Set(sources)]
+  };
+}
+
+// Tag every connection with the pass that produced it
+function withProvenance(connections, provenance) {
+  return connections.map(connection => normalizeConnection(connection, provenance));
+}
+
+// One edge per from → to: strengths combined, earliest timestamp, shortest jump, all provenance kept
+function deduplicateConnections(connections, options = {}) {
+  const combine = options.combine || "noisy-or";
+  const combineStrengths = COMBINE_STRENGTHS[combine];
+  if (!combineStrengths) {
+    throw new Error(`Unknown strength combination: ${combine} (expected ${Object.keys(COMBINE_STRENGTHS).join(", ")})`);
+  }
+
+  const groups = new Map();
+  connections.forEach(connection => {
+    const normalized = normalizeConnection(connection);
+    const key = `${normalized.from}→${normalized.to}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(normalized);
+  });
+
+  return [...groups.values()].map(group => {
+    if (group.length === 1) return { ...group[0], strength: clampStrength(group[0].strength), occurrences: 1 };
+
+    const timestamps = group.map(conn => conn.timestamp).filter(time => time !== null);
+    return {
+      ...group[0],
+      strength: combineStrengths(group.map(conn => clampStrength(conn.strength))),
+      jumpDistance: Math.min(...group.map(conn => conn.jumpDistance)),
+      timestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+      provenance: [...new Set(group.flatMap(conn => conn.provenance))],
+      occurrences: group.length
+    };
+  });
+}
+
+module.exports = {
+  COMBINE_STRENGTHS,
+  normalizeConnection,
+  withProvenance,
+  deduplicateConnections
+};
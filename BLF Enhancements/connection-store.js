@@ -0,0 +1,140 @@
+// connection-store.js - Persistent storage for WThomas connections
+// Sessions accumulate learned connections; replay rebuilds the state at any moment
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared query/replay logic; backends implement load(), save() and append()
+class ConnectionStore {
+  load() {
+    throw new Error(`${this.constructor.name} must implement load()`);
+  }
+
+  save(connections) {
+    throw new Error(`${this.constructor.name} must implement save()`);
+  }
+
+  append(connection) {
+    this.save([...this.load(), connection]);
+  }
+
+  // Connections with since <= timestamp <= until (Dates or epoch ms)
+  query({ since = -Infinity, until = Infinity } = {}) {
+    const start = toTime(since);
+    const end = toTime(until);
+    return this.load()
+      .filter(conn => conn.timestamp >= start && conn.timestamp <= end)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Connection state as it stood at `at`, with strength decayed to that moment
+  replay(at = Date.now(), options = {}) {
+    const moment = toTime(at);
+    const { halfLifeMs = 30 * DAY_MS, minStrength = 0.01 } = options;
+
+    return this.query({ until: moment })
+      .map(conn => ({ ...conn, strength: decayStrength(conn, moment, halfLifeMs) }))
+      .filter(conn => conn.strength >= minStrength);
+  }
+}
+
+// One JSON object per line; appends never rewrite the file
+class JsonLinesConnectionStore extends ConnectionStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split("\n")
+      .map((line, index) => {
+        if (!line.trim()) return null;
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.warn(`Skipping corrupt connection at ${this.filePath}:${index + 1}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  save(connections) {
+    const lines = connections.map(conn => JSON.stringify(conn) + "\n").join("");
+    writeAtomic(this.filePath, lines);
+  }
+
+  append(connection) {
+    fs.appendFileSync(this.filePath, JSON.stringify(connection) + "\n");
+  }
+}
+
+// SQLite-style single-file table: one document holding every row, rewritten on each write
+class TableFileConnectionStore extends ConnectionStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const table = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (table.table !== "connections" || !Array.isArray(table.rows)) {
+      throw new Error(`${this.filePath} is not a connection table`);
+    }
+    return table.rows;
+  }
+
+  save(connections) {
+    const rows = [...connections].sort((a, b) => a.timestamp - b.timestamp);
+    writeAtomic(this.filePath, JSON.stringify({ table: "connections", version: 1, rows }, null, 2) + "\n");
+  }
+}
+
+// Exponential decay: strength halves every halfLifeMs since the connection was made
+function decayStrength(connection, at = Date.now(), halfLifeMs = 30 * DAY_MS) {
+  const age = Math.max(0, toTime(at) - connection.timestamp);
+  return connection.strength * Math.pow(0.5, age / halfLifeMs);
+}
+
+// Build a store from config: { type: "jsonl" | "table", file }
+function createConnectionStore(options = {}) {
+  const type = options.type || (path.extname(options.file || "") === ".jsonl" ? "jsonl" : "table");
+
+  if (!options.file) {
+    throw new Error("Connection store requires a file");
+  }
+
+  switch (type) {
+    case "jsonl": return new JsonLinesConnectionStore(options.file);
+    case "table": return new TableFileConnectionStore(options.file);
+  }
+
+  throw new Error(`Unknown connection store type: ${type}`);
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+// Write to a temp file then rename, so a crash never leaves half a store
+function writeAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  DAY_MS,
+  ConnectionStore,
+  JsonLinesConnectionStore,
+  TableFileConnectionStore,
+  createConnectionStore,
+  decayStrength
+};
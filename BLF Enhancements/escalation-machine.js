@@ -0,0 +1,132 @@
+// escalation-machine.js - Per-conversation escalation through behaviorMatrix protocols
+// finalResponse (DDGIB) -> alternative (DDGIB extreme) -> fallback (GTFOIB) as triggers repeat
+
+const LEVELS = ["finalResponse", "alternative", "fallback"];
+
+// Keyword patterns per behaviorMatrix category; the category with most hits wins
+const CATEGORY_PATTERNS = {
+  engagementComplaints: [
+    /\bboring\b/i, /\btoo (long|hard|slow|complicated)\b/i, /\bhard to (follow|read)\b/i,
+    /\bwhy (is|does) (it|this) (have to|need to)?/i, /\bgave up\b/i, /\bcouldn'?t get into\b/i, /\bskimm?ed\b/i
+  ],
+  entitlementIssues: [
+    /\byou owe\b/i, /\bi deserve\b/i, /\bshould have\b/i, /\bdemand\b/i, /\bwrite faster\b/i,
+    /\bunacceptable\b/i, /\brefund\b/i, /\bwhere(?:'s| is) the (next|sequel)\b/i, /\bhurry up\b/i
+  ],
+  genuineConfusion: [
+    /\bi don'?t understand\b/i, /\bconfus(ed|ing)\b/i, /\bwhat (does|did|happened|is)\b/i,
+    /\bwho (is|was)\b/i, /\bcan you (explain|clarify)\b/i, /\bdid i miss\b/i
+  ]
+};
+
+class EscalationStateMachine {
+  // behaviorMatrix from a communication profile; escalate after `alternativeAfter` / `fallbackAfter` repeats
+  constructor(behaviorMatrix = {}, options = {}) {
+    this.behaviorMatrix = behaviorMatrix;
+    this.options = {
+      alternativeAfter: 2,
+      fallbackAfter: 3,
+      patterns: CATEGORY_PATTERNS,
+      ...options
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.counts = Object.fromEntries(Object.keys(this.behaviorMatrix).map(category => [category, 0]));
+    this.levelIndex = -1;  // No protocol used yet
+    this.history = [];
+  }
+
+  // behaviorMatrix category for a message, or null for messages that need no protocol
+  classify(message) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const [category, patterns] of Object.entries(this.options.patterns)) {
+      if (!this.behaviorMatrix[category]) continue;
+      const score = patterns.filter(pattern => pattern.test(message)).length;
+      if (score > bestScore) {
+        best = category;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  // Classify, count and advance; returns the protocol to answer with
+  handle(message) {
+    const category = this.classify(String(message));
+
+    if (!category) {
+      const entry = { message, category: null, level: this.level, protocol: null, timestamp: Date.now() };
+      this.history.push(entry);
+      return entry;
+    }
+
+    this.counts[category] = (this.counts[category] || 0) + 1;
+    const count = this.counts[category];
+    const categoryLevel = count >= this.options.fallbackAfter ? 2 : count >= this.options.alternativeAfter ? 1 : 0;
+
+    // The conversation never de-escalates on its own; reset() starts over
+    this.levelIndex = Math.max(this.levelIndex, categoryLevel);
+
+    const behavior = this.behaviorMatrix[category];
+    const step = this.protocolStep(behavior.finalResponse, this.levelIndex);
+    const entry = {
+      message,
+      category,
+      count,
+      level: this.level,
+      protocol: step.protocol,
+      format: step.format,
+      delivery: step.delivery,
+      context: step.context,
+      trigger: step.trigger || null,
+      behavior: {
+        response: behavior.response,
+        tone: behavior.tone,
+        approach: behavior.approach,
+        message: behavior.message
+      },
+      timestamp: Date.now()
+    };
+
+    this.history.push(entry);
+    return entry;
+  }
+
+  // Walk finalResponse -> alternative -> fallback; alternatives inherit the parent protocol name
+  protocolStep(finalResponse = {}, levelIndex) {
+    let step = finalResponse;
+    let protocol = finalResponse.protocol || "DDGIB";
+
+    for (let i = 0; i < levelIndex; i++) {
+      const next = i === 0 ? step.alternative : step.fallback;
+      if (!next) break;
+      step = next;
+      protocol = next.protocol || protocol;
+    }
+
+    return { ...step, protocol };
+  }
+
+  get level() {
+    return this.levelIndex < 0 ? null : LEVELS[this.levelIndex];
+  }
+
+  getState() {
+    return {
+      level: this.level,
+      counts: { ...this.counts },
+      history: [...this.history]
+    };
+  }
+}
+
+module.exports = {
+  LEVELS,
+  CATEGORY_PATTERNS,
+  EscalationStateMachine
+};
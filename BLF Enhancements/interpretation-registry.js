@@ -0,0 +1,179 @@
+// interpretation-registry.js - Named interpretation generators for applyParadoxicalThinking
+// Each generator reads the constrained input against the concept graph and scores its own confidence
+
+const { ConceptGraph } = require('./concept-graph.js');
+
+const LEVELS = ["minimal", "moderate", "maximal"];
+const NEGATIONS = ["not", "no", "never", "without", "cannot", "isn't", "doesn't", "don't", "won't"];
+const SELF_REFERENCES = ["this", "itself", "analysis", "framework", "wthomas", "thinking", "processor", "ai"];
+
+class InterpretationRegistry {
+  constructor() {
+    this.generators = new Map();
+  }
+
+  // generate(input, context) returns { interpretation, ... } or null to skip
+  // options.score(result, input, context) overrides the generator's own confidence
+  register(name, generate, options = {}) {
+    if (typeof generate !== "function") {
+      throw new Error(`Interpretation generator "${name}" must be a function`);
+    }
+
+    const levels = options.levels || LEVELS;
+    levels.forEach(level => {
+      if (!LEVELS.includes(level)) throw new Error(`Unknown approximation level: ${level}`);
+    });
+
+    this.generators.set(name, {
+      name,
+      generate,
+      levels,
+      score: options.score || null,
+      selfReferential: Boolean(options.selfReferential)
+    });
+    return this;
+  }
+
+  unregister(name) {
+    return this.generators.delete(name);
+  }
+
+  // Generators active for a level; self-referential ones only when self-reference is enabled
+  generatorsFor(level, selfReferenceEnabled = false) {
+    return [...this.generators.values()].filter(generator =>
+      generator.levels.includes(level) && (!generator.selfReferential || selfReferenceEnabled)
+    );
+  }
+
+  run(level, input, context = {}) {
+    const interpretations = [];
+
+    for (const generator of this.generatorsFor(level, context.selfReferenceEnabled)) {
+      const result = generator.generate(input, context);
+      if (!result) continue;
+
+      const confidence = generator.score
+        ? generator.score(result, input, context)
+        : result.confidence ?? 0.5;
+
+      interpretations.push({
+        type: generator.name,
+        ...result,
+        confidence: Math.max(0, Math.min(1, confidence)),
+        alignmentConstrained: true
+      });
+    }
+
+    return interpretations;
+  }
+}
+
+// === Default generators ===
+
+function inputText(input) {
+  const original = input?.original ?? input;
+  return typeof original === "string" ? original : JSON.stringify(original ?? "");
+}
+
+function wordsOf(text) {
+  return text.toLowerCase().split(/\s+/).map(word => word.replace(/[^a-z0-9'_\-]/g, "")).filter(Boolean);
+}
+
+// Words the concept graph knows, in input order
+function knownConcepts(text, graph) {
+  return [...new Set(wordsOf(text).map(ConceptGraph.normalize))].filter(word => graph.hasConcept(word));
+}
+
+function dominantDomain(concepts, graph) {
+  const counts = new Map();
+  concepts.forEach(concept => {
+    graph.domainsOf(concept).forEach(domain => counts.set(domain, (counts.get(domain) || 0) + 1));
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// Direct meaning: the concepts the input names, read in their shared domain
+function primaryInterpretation(input, { conceptGraph }) {
+  const text = inputText(input);
+  const words = wordsOf(text).filter(word => word.length > 3);
+  const concepts = knownConcepts(text, conceptGraph);
+  const domain = dominantDomain(concepts, conceptGraph);
+
+  return {
+    interpretation: concepts.length > 0
+      ? `Direct reading: ${concepts.join(", ")} taken literally${domain ? ` within ${domain}` : ""}`
+      : `Direct reading: "${text}" taken literally`,
+    concepts,
+    domain,
+    // Confidence grows with how much of the input the graph recognises
+    confidence: 0.5 + 0.4 * (words.length > 0 ? Math.min(1, concepts.length / words.length * 2) : 0)
+  };
+}
+
+// Jump from the first concept to its strongest neighbor in another domain;
+// neighbors with no domains can't show a change of domain, so they are passed over
+function alternativeInterpretation(input, { conceptGraph }) {
+  const concepts = knownConcepts(inputText(input), conceptGraph);
+  const domain = dominantDomain(concepts, conceptGraph);
+
+  for (const concept of concepts) {
+    const jump = conceptGraph.neighbors(concept)
+      .find(neighbor => neighbor.domains.length > 0 && !neighbor.domains.includes(domain));
+    if (jump) {
+      return {
+        interpretation: `Alternative reading through ${jump.domains[0]}: ${concept} → ${jump.concept}`,
+        concepts: [concept, jump.concept],
+        domain: jump.domains[0],
+        confidence: jump.strength * 0.7 / jump.distance
+      };
+    }
+  }
+
+  return null;
+}
+
+// The opposite claim: negations are dropped, plain claims are negated
+function counterInterpretation(input, { conceptGraph }) {
+  const text = inputText(input);
+  const words = wordsOf(text);
+  const negated = words.some(word => NEGATIONS.includes(word));
+  const concepts = knownConcepts(text, conceptGraph);
+  const subject = concepts[0] || words.find(word => word.length > 3) || "the input";
+
+  return {
+    interpretation: negated
+      ? `Counter reading: ${subject} holds after all - the negation is the thing to question`
+      : `Counter reading: assume ${subject} does not hold and see what survives`,
+    concepts: concepts.slice(0, 1),
+    // Counter readings stay below the direct reading; explicit negation makes them more plausible
+    confidence: negated ? 0.45 : 0.25
+  };
+}
+
+// The analysis as part of its own input domain
+function selfReferentialInterpretation(input) {
+  const words = wordsOf(inputText(input));
+  const references = words.filter(word => SELF_REFERENCES.includes(word));
+
+  return {
+    interpretation: references.length > 0
+      ? `Self-referential reading: the question is about the process answering it (${references.join(", ")})`
+      : "Self-referential reading: this analysis is one more instance of the pattern being analysed",
+    confidence: Math.min(0.7, 0.3 + references.length * 0.1)
+  };
+}
+
+// Registry preloaded with the four readings the level switch used to hard-code
+function createDefaultRegistry() {
+  return new InterpretationRegistry()
+    .register("primary", primaryInterpretation)
+    .register("alternative", alternativeInterpretation, { levels: ["moderate", "maximal"] })
+    .register("counter", counterInterpretation, { levels: ["maximal"] })
+    .register("self-referential", selfReferentialInterpretation, { selfReferential: true });
+}
+
+module.exports = {
+  LEVELS,
+  InterpretationRegistry,
+  createDefaultRegistry
+};
@@ -0,0 +1,191 @@
+// preset-loader.js - Named presets (family, professional, authorial, research) from JSON/NJSON files
+// Presets inherit with `extends`, take BLF_PRESET_* environment overrides and reload when their files change
+
+const fs = require('fs');
+const path = require('path');
+const { loadNJSONFile } = require(path.join(
+  __dirname, '..', 'Library', 'CloudStorage', 'Dropbox', 'Observational Mathematics',
+  'wade-implementation', 'njson-parser.js'
+));
+const { deepMerge } = require('./config-history.js');
+const { PRESET_SCHEMA, validateConfig } = require('./config-schema.js');
+
+const DEFAULT_PRESET_DIR = path.join(__dirname, 'presets');
+const PRESET_EXTENSIONS = [".json", ".njson"];
+const ENV_PREFIX = "BLF_PRESET";
+
+function readPresetFile(filePath) {
+  return filePath.endsWith('.njson')
+    ? loadNJSONFile(filePath, { mode: "lenient", validate: false, quiet: true })
+    : JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// "2.5" -> 2.5, "true" -> true, '["a"]' -> ["a"]; anything else stays a string
+function parseEnvValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// BLF_PRESET__QUANTUMSPEED__LEVEL=2.5 applies to every preset, BLF_PRESET_RESEARCH__QUANTUMSPEED__LEVEL
+// to research only (named overrides win); returns [{ variable, segments, value }]
+function envOverrides(name, env = process.env) {
+  const shared = [];
+  const named = [];
+
+  for (const [variable, value] of Object.entries(env)) {
+    if (!variable.startsWith(`${ENV_PREFIX}_`)) continue;
+    const [scope, ...segments] = variable.slice(ENV_PREFIX.length).split("__");
+    if (segments.length === 0 || segments.some(segment => !segment)) continue;
+
+    const override = { variable, segments, value: parseEnvValue(value) };
+    if (scope === "") shared.push(override);
+    else if (scope.slice(1).toLowerCase() === name.toLowerCase()) named.push(override);
+  }
+  return [...shared, ...named];
+}
+
+// Segments match existing keys case-insensitively, so QUANTUMSPEED finds quantumSpeed
+function applyEnvOverrides(preset, overrides) {
+  return overrides.reduce((result, { segments, value }) => {
+    const patch = {};
+    let source = result;
+    let target = patch;
+
+    segments.forEach((segment, index) => {
+      const existing = source && typeof source === "object"
+        ? Object.keys(source).find(key => key.toLowerCase() === segment.toLowerCase())
+        : undefined;
+      const key = existing ?? segment;
+      target[key] = index === segments.length - 1 ? value : {};
+      target = target[key];
+      source = source?.[key];
+    });
+
+    return deepMerge(result, patch);
+  }, preset);
+}
+
+// WThomas refuses to initialize unless AIc + buffer = BMqs, so misaligned presets fail at load
+function alignmentErrors(preset) {
+  const alignment = preset.cognitiveAlignment;
+  if (!alignment || alignment.enforceBuffer === false) return [];
+
+  const { aiCognitiveCapabilities: aiC, safetyBuffer: buffer, booleanMindQuantumSpeed: bmQs } = alignment;
+  if ([aiC, buffer, bmQs].some(value => typeof value !== "number")) return [];
+  return Math.abs((aiC + buffer) - bmQs) > 0.00001
+    ? [{ path: "cognitiveAlignment", kind: "alignment", message: `cognitiveAlignment is misaligned: ${aiC} + ${buffer} ≠ ${bmQs}` }]
+    : [];
+}
+
+// WThomas config: the preset (minus its description) merged over a base config
+function presetToWThomas(preset, baseConfig = {}) {
+  const { description, ...config } = preset;
+  return deepMerge(baseConfig, config);
+}
+
+class PresetLoader {
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.dir = options.dir || this.env.BLF_PRESET_DIR || DEFAULT_PRESET_DIR;
+    this.watchers = new Set();
+  }
+
+  // name -> file path; when both name.json and name.njson exist the .json file wins
+  files() {
+    const found = {};
+    for (const entry of fs.readdirSync(this.dir).sort()) {
+      const extension = path.extname(entry);
+      if (!PRESET_EXTENSIONS.includes(extension)) continue;
+
+      const name = path.basename(entry, extension);
+      if (found[name]) {
+        console.warn(`Preset "${name}" has both ${path.basename(found[name])} and ${entry}; using ${path.basename(found[name])}`);
+        continue;
+      }
+      found[name] = path.join(this.dir, entry);
+    }
+    return found;
+  }
+
+  list() {
+    return Object.keys(this.files());
+  }
+
+  // { name, preset, chain } - chain lists the files applied, base preset first
+  load(name) {
+    const { preset, chain } = this.resolve(name, this.files(), []);
+    const overridden = applyEnvOverrides(preset, envOverrides(name, this.env));
+
+    const errors = [...validateConfig(overridden, PRESET_SCHEMA).errors, ...alignmentErrors(overridden)];
+    if (errors.length > 0) {
+      throw new Error(`Invalid preset "${name}":\n${errors.map(error => `- ${error.message}`).join("\n")}`);
+    }
+    return { name, preset: overridden, chain };
+  }
+
+  resolve(name, files, seen) {
+    if (seen.includes(name)) {
+      throw new Error(`Preset inheritance cycle: ${[...seen, name].join(" -> ")}`);
+    }
+    const filePath = files[name];
+    if (!filePath) {
+      throw new Error(`Unknown preset "${name}" (available: ${Object.keys(files).join(", ") || "none"})`);
+    }
+
+    const { extends: parent, ...own } = readPresetFile(filePath);
+    if (!parent) return { preset: own, chain: [filePath] };
+
+    const base = this.resolve(parent, files, [...seen, name]);
+    return { preset: deepMerge(base.preset, own), chain: [...base.chain, filePath] };
+  }
+
+  // Calls onChange({ name, preset, chain }) when a file in the preset's chain changes.
+  // A broken edit is reported and the previous preset stays in effect. Returns { close }
+  watch(name, onChange, options = {}) {
+    const debounceMs = options.debounceMs ?? 100;
+    let chain = this.load(name).chain;
+    let timer = null;
+
+    const watcher = fs.watch(this.dir, (eventType, fileName) => {
+      if (fileName && !chain.some(file => path.basename(file) === fileName)) return;
+
+      // Editors write in several steps; reload once they settle
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          const loaded = this.load(name);
+          chain = loaded.chain;
+          onChange(loaded);
+        } catch (error) {
+          console.warn(`Preset "${name}" not reloaded: ${error.message}`);
+        }
+      }, debounceMs);
+    });
+
+    const handle = {
+      close: () => {
+        clearTimeout(timer);
+        watcher.close();
+        this.watchers.delete(handle);
+      }
+    };
+    this.watchers.add(handle);
+    return handle;
+  }
+
+  // Stop every watcher started by this loader
+  close() {
+    [...this.watchers].forEach(handle => handle.close());
+  }
+}
+
+module.exports = {
+  DEFAULT_PRESET_DIR,
+  envOverrides,
+  applyEnvOverrides,
+  presetToWThomas,
+  PresetLoader
+};
@@ -0,0 +1,320 @@
+// response-protocols.js - Named text transformations behind BLF responseProtocols
+// Each stage value ("clarity_over_comprehensiveness", ...) names a registered transform;
+// stages run prioritize -> eliminate -> structure -> format and unknown names are reported
+
+const { extractConceptDetails } = require('./concept-extraction.js');
+
+const PROTOCOL_STAGES = ["prioritize", "eliminate", "structure", "format"];
+
+class ProtocolRegistry {
+  constructor() {
+    this.transforms = new Map();  // "stage:name" -> transform(text, context)
+  }
+
+  register(stage, name, transform) {
+    if (!PROTOCOL_STAGES.includes(stage)) {
+      throw new Error(`Unknown protocol stage "${stage}" (expected ${PROTOCOL_STAGES.join(", ")})`);
+    }
+    if (typeof transform !== "function") {
+      throw new Error(`Protocol "${stage}:${name}" must be a function`);
+    }
+    this.transforms.set(`${stage}:${name}`, transform);
+    return this;
+  }
+
+  unregister(stage, name) {
+    return this.transforms.delete(`${stage}:${name}`);
+  }
+
+  has(stage, name) {
+    return this.transforms.has(`${stage}:${name}`);
+  }
+
+  // A stage value may be one name or a list applied in order.
+  // Returns { text, applied: ["stage:name"], unknown: ["stage:name"] }
+  apply(text, protocols = {}, context = {}) {
+    const applied = [];
+    const unknown = [];
+    let result = String(text ?? "");
+
+    for (const stage of PROTOCOL_STAGES) {
+      const names = [].concat(protocols[stage] ?? []);
+      for (const name of names) {
+        const transform = this.transforms.get(`${stage}:${name}`);
+        if (!transform) {
+          unknown.push(`${stage}:${name}`);
+          continue;
+        }
+        result = transform(result, { ...context, stage, name });
+        applied.push(`${stage}:${name}`);
+      }
+    }
+
+    return { text: result, applied, unknown };
+  }
+}
+
+// === Text helpers ===
+
+// A sentence ends at punctuation followed by whitespace and a capital (or the end of the text),
+// so 2.89, example.com and v1.2.3 stay whole
+function splitSentences(text) {
+  return text.split(/(?<=[.!?]["')\]]*)\s+(?=["'(\[]?[A-Z])/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+const joinSentences = sentences => sentences.join(" ");
+
+const tidy = text => text
+  .replace(/\s+([,.!?;:])/g, "$1")
+  .replace(/([,;])(?=[^\s\d])/g, "$1 ")
+  .replace(/[ \t]{2,}/g, " ")
+  .trim();
+
+// Re-capitalize a sentence whose opening words were removed
+const capitalize = sentence => sentence.replace(/^[a-z]/, letter => letter.toUpperCase());
+
+const capitalizeSentences = text =>
+  text.replace(/(^|[.!?]\s+)([a-z])/g, (match, boundary, letter) => boundary + letter.toUpperCase());
+
+const replaceAll = (text, replacements) =>
+  replacements.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+// === Default transforms ===
+
+const HEDGES = [/\b(basically|essentially|actually|really|very|quite|somewhat|kind of|sort of)\s+/gi];
+
+// Parenthetical asides and hedging words go first; the point stays
+function clarityOverComprehensiveness(text) {
+  return tidy(replaceAll(text, [[/\s*\([^)]*\)/g, ""], ...HEDGES.map(pattern => [pattern, ""])]));
+}
+
+// Whole short courtesy sentences that carry no content; a sentence that only starts with
+// one of these words ("Thanks to the cache, ...") is content and stays
+const PADDING_SENTENCES = [
+  /^(hi|hello|hey|greetings|dear)\b[^.!?,;]{0,30}[.!?]*$/i,
+  /^(great|good|excellent|interesting) question(,? \w+)?[.!?]*$/i,
+  /^(thanks|thank you)( (so|very) much)?( for [^.!?,;]{0,40})?[.!?]*$/i,
+  /^i hope (this|that) (helps|was helpful|makes sense)[.!?]*$/i,
+  /^i hope you('re| are)? (doing )?well[.!?]*$/i,
+  /^(please )?(feel free|don't hesitate|do not hesitate) to (ask|reach out|get in touch|contact me)[^.!?,;]{0,30}[.!?]*$/i,
+  /^let me know if (you have (any )?(other |more |further )?questions|(this|that) helps)[.!?]*$/i,
+  /^(always )?happy to help[.!?]*$/i
+];
+
+// Softeners inside otherwise useful sentences
+const PADDING_PHRASES = [
+  [/\b(please|kindly)\s+/gi, ""],
+  [/\bi (just )?wanted to\s+/gi, ""],
+  [/\bif you (don't|do not) mind,?\s*/gi, ""],
+  [/\bwould you be so kind as to\s+/gi, ""]
+];
+
+function unnecessarySocialPadding(text) {
+  const sentences = splitSentences(text).filter(sentence => !PADDING_SENTENCES.some(pattern => pattern.test(sentence)));
+  return tidy(joinSentences(sentences.map(sentence => capitalize(replaceAll(sentence, PADDING_PHRASES)))));
+}
+
+// "concise" -> "concisely", "simple" -> "simply", "easy" -> "easily"
+function adverb(adjective) {
+  if (adjective.endsWith("le")) return `${adjective.slice(0, -1)}y`;
+  if (adjective.endsWith("y")) return `${adjective.slice(0, -1)}ily`;
+  return `${adjective}ly`;
+}
+
+const FORMAL_PHRASES = [
+  [/\bin order to\b/gi, "to"],
+  [/\butili[sz](e|es|ed|ing)\b/gi, (match, suffix) => `us${suffix}`],
+  [/\bat this point in time\b/gi, "now"],
+  [/\bwith (regard|respect) to\b/gi, "about"],
+  [/\bprior to\b/gi, "before"],
+  [/\bsubsequent to\b/gi, "after"],
+  [/\bcommence(d|s)?\b/gi, (match, suffix = "") => `start${suffix === "d" ? "ed" : suffix}`],
+  [/\bin an? (\w+) manner\b/gi, (match, adjective) => adverb(adjective)],
+  [/\bpursuant to\b/gi, "under"]
+];
+
+function excessiveFormality(text) {
+  return capitalizeSentences(tidy(replaceAll(text, FORMAL_PHRASES)));
+}
+
+const CONVENTIONAL_SENTENCES = [
+  /^(it|that) depends\b/i,
+  /^there are (many|several|a number of) (factors|ways|things)\b/i,
+  /^as (an ai|a language model)\b/i,
+  /^in (conclusion|summary),? /i,
+  /^(ultimately|at the end of the day),? it('s| is) up to you\b/i
+];
+
+function boringConventionalResponses(text) {
+  const sentences = splitSentences(text);
+  const kept = sentences.filter(sentence => !CONVENTIONAL_SENTENCES.some(pattern => pattern.test(sentence)));
+  return joinSentences(kept.length > 0 ? kept : sentences);
+}
+
+// Sequence words decide order: "First ..." leads, "Finally ..." closes, everything else keeps its place
+const SEQUENCE_RANKS = [
+  [/^(first(ly)?|to (start|begin)|begin by)\b/i, 0],
+  [/^(finally|lastly|in the end)\b/i, 2]
+];
+
+function logicalSequentialInformation(text) {
+  const ranked = splitSentences(text).map((sentence, index) => ({
+    sentence,
+    index,
+    rank: SEQUENCE_RANKS.find(([pattern]) => pattern.test(sentence))?.[1] ?? 1
+  }));
+  return joinSentences(ranked.sort((a, b) => a.rank - b.rank || a.index - b.index).map(entry => entry.sentence));
+}
+
+// Lead-ins that announce an answer instead of giving it
+const PREAMBLES = [
+  /^(well|so|okay|ok),?\s+/i,
+  /^to answer (your|the) question,?\s*/i,
+  /^(let me (explain|think)|here('s| is) (the thing|what i think))[^.!?]*[.!?]\s*/i
+];
+
+// The first sentence with content becomes the answer; the rest follow as details
+function directAnswersFirstDetailsAfter(text) {
+  const sentences = splitSentences(text)
+    .map(sentence => capitalize(replaceAll(sentence, PREAMBLES.map(pattern => [pattern, ""])).trim()))
+    .filter(Boolean);
+  if (sentences.length <= 1) return joinSentences(sentences);
+
+  const answerIndex = sentences.findIndex(sentence => !sentence.endsWith("?"));
+  if (answerIndex === -1) return joinSentences(sentences);
+
+  const [answer] = sentences.splice(answerIndex, 1);
+  return `${answer}\n\n${joinSentences(sentences)}`;
+}
+
+function balancedEmotionalTone(text) {
+  return capitalizeSentences(replaceAll(text, [
+    [/([!?])\1+/g, "$1"],
+    // Two or more capitalized words in a row is shouting; single acronyms stay
+    [/\b[A-Z]{2,}(?:\s+[A-Z]{2,})+\b/g, shouting => shouting.toLowerCase()]
+  ]));
+}
+
+// Flag each sentence whose dominant concept domain differs from the previous one
+function quantumJumpWithTopicFlags(text, { conceptExtraction } = {}) {
+  let currentDomain = null;
+  return joinSentences(splitSentences(text).map(sentence => {
+    const domains = extractConceptDetails(sentence, conceptExtraction).flatMap(result => result.domains);
+    if (domains.length === 0) return sentence;
+
+    const counts = domains.reduce((map, domain) => map.set(domain, (map.get(domain) || 0) + 1), new Map());
+    const domain = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    if (domain === currentDomain) return sentence;
+
+    currentDomain = domain;
+    return `[TOPIC: ${domain}] ${sentence}`;
+  }));
+}
+
+// === Preset voices ===
+// The family, professional and authorial presets keep their voice; these only trim around it
+
+const APOLOGETIC_OPENERS = [
+  /^(sorry|apologies),?\s*/i,
+  /^i('m| am) (not sure|no expert),? but\s*/i,
+  /^i (think|guess|feel like)\s+/i
+];
+
+// Asides are the smartass part and stay; hedging and apologizing go
+function smartassWithSubjectMarkers(text) {
+  const sentences = splitSentences(replaceAll(text, HEDGES.map(pattern => [pattern, ""])));
+  return tidy(joinSentences(sentences.map(sentence =>
+    capitalize(replaceAll(sentence, APOLOGETIC_OPENERS.map(pattern => [pattern, ""])))
+  )));
+}
+
+// Each parenthetical aside becomes its own flagged sentence, and the next sentence is marked as the way back
+function irrelevantTangentsWithClearSubjectTransitions(text) {
+  let returning = false;
+  return joinSentences(splitSentences(text).flatMap(sentence => {
+    const asides = [...sentence.matchAll(/\(([^)]+)\)/g)].map(match => match[1].trim());
+    const main = tidy(sentence.replace(/\s*\([^)]*\)/g, ""));
+    const lead = returning ? `Anyway, ${main.replace(/^[A-Z](?![A-Z])/, letter => letter.toLowerCase())}` : main;
+    returning = asides.length > 0;
+    return [lead, ...asides.map(aside => `Tangent: ${aside.replace(/[.!?]*$/, ".")}`)];
+  }));
+}
+
+const PROFANITY = [/\b(damn(ed|it)?|hell|crap(py)?|shit(ty)?|fuck(ing|ed)?|ass)\b[,]?\s*/gi];
+
+function authenticVoiceWithProfessionalBoundaries(text) {
+  return capitalizeSentences(tidy(replaceAll(text, PROFANITY.map(pattern => [pattern, ""]))));
+}
+
+const PERSONAL_SENTENCE = /^(i|i'm|i've|i'd|i'll|my|me|honestly|personally)\b/i;
+
+// A factual sentence anchors the response; personal sentences follow it in their original order
+function personalWithProfessionalAnchors(text) {
+  const sentences = splitSentences(text);
+  const anchorIndex = sentences.findIndex(sentence => !PERSONAL_SENTENCE.test(sentence));
+  if (anchorIndex <= 0) return joinSentences(sentences);
+
+  const [anchor] = sentences.splice(anchorIndex, 1);
+  return joinSentences([anchor, ...sentences]);
+}
+
+// Dialect and asides stay; only hedging that softens a claim goes
+function creativeAccuracyWithKentuckySouthieBlend(text) {
+  return capitalizeSentences(tidy(replaceAll(text, HEDGES.map(pattern => [pattern, ""]))));
+}
+
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s+/;
+
+// List items are folded into one flowing paragraph
+function narrativeFlowWithBluegrassEdge(text) {
+  return text.split(/\n{2,}/).map(paragraph => {
+    const lines = paragraph.split("\n").map(line => line.trim()).filter(Boolean);
+    if (!lines.some(line => LIST_ITEM.test(line))) return paragraph;
+    return lines
+      .map(line => capitalize(line.replace(LIST_ITEM, "")))
+      .map(line => (/[.!?:]$/.test(line) ? line : `${line}.`))
+      .join(" ");
+  }).join("\n\n");
+}
+
+// Dialect stays; shouting and stacked punctuation go and every sentence ends cleanly
+function professionalButAuthenticKentuckySouthieStyle(text) {
+  return joinSentences(splitSentences(balancedEmotionalTone(text))
+    .map(sentence => (/[.!?]["')\]]*$/.test(sentence) ? sentence : `${sentence}.`)));
+}
+
+const identity = text => text;
+
+// Registry preloaded with the protocols used by blf.js and the shipped presets;
+// "none" is a no-op in every stage
+function createDefaultProtocols() {
+  const registry = new ProtocolRegistry();
+  PROTOCOL_STAGES.forEach(stage => registry.register(stage, "none", identity));
+
+  return registry
+    .register("prioritize", "clarity_over_comprehensiveness", clarityOverComprehensiveness)
+    .register("eliminate", "unnecessary_social_padding", unnecessarySocialPadding)
+    .register("eliminate", "excessive_formality", excessiveFormality)
+    .register("eliminate", "boring_conventional_responses", boringConventionalResponses)
+    .register("structure", "logical_sequential_information", logicalSequentialInformation)
+    .register("structure", "balanced_emotional_tone", balancedEmotionalTone)
+    .register("structure", "quantum_jump_with_topic_flags", quantumJumpWithTopicFlags)
+    .register("format", "direct_answers_first_details_after", directAnswersFirstDetailsAfter)
+    // family
+    .register("prioritize", "smartass_with_subject_markers", smartassWithSubjectMarkers)
+    .register("format", "irrelevant_tangents_with_clear_subject_transitions", irrelevantTangentsWithClearSubjectTransitions)
+    // professional
+    .register("prioritize", "authentic_voice_with_professional_boundaries", authenticVoiceWithProfessionalBoundaries)
+    .register("format", "personal_with_professional_anchors", personalWithProfessionalAnchors)
+    // authorial
+    .register("prioritize", "creative_accuracy_with_kentucky_southie_blend", creativeAccuracyWithKentuckySouthieBlend)
+    .register("structure", "narrative_flow_with_bluegrass_edge", narrativeFlowWithBluegrassEdge)
+    .register("format", "professional_but_authentic_kentucky_southie_style", professionalButAuthenticKentuckySouthieStyle);
+}
+
+module.exports = {
+  PROTOCOL_STAGES,
+  ProtocolRegistry,
+  splitSentences,
+  createDefaultProtocols
+};
@@ -0,0 +1,133 @@
+// response-queue.js - Response-time SLAs for communication types
+// Incoming messages get a due time from their profile's responseTime ("within_24_hours", ...)
+
+const { normalizeRecipient, responseHours } = require('./communication-profiles.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toTime = value => value instanceof Date ? value.getTime() : Number(value);
+
+// "2026-10-19" for the UTC day containing a moment
+const dayKey = time => new Date(time).toISOString().slice(0, 10);
+
+class ResponseQueue {
+  // findProfile(recipient) -> communication profile with a responseTime, or null
+  constructor(findProfile, options = {}) {
+    this.findProfile = findProfile;
+    this.now = options.now || Date.now;
+    this.items = [];
+    this.nextId = 1;
+  }
+
+  // Record an incoming message; throws for recipients without a response time
+  receive({ recipient, from = null, message = "", receivedAt = this.now() }) {
+    const profile = this.findProfile(recipient);
+    const hours = responseHours(profile?.responseTime);
+    if (hours === null) {
+      throw new Error(`No responseTime for recipient "${recipient}"`);
+    }
+
+    const received = toTime(receivedAt);
+    const item = {
+      id: this.nextId++,
+      recipientType: profile.type || normalizeRecipient(recipient),
+      from,
+      message,
+      responseTime: profile.responseTime,
+      receivedAt: received,
+      dueAt: received + hours * HOUR_MS,
+      respondedAt: null
+    };
+
+    this.items.push(item);
+    return item;
+  }
+
+  respond(id, respondedAt = this.now()) {
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) {
+      console.warn(`No queued message with id ${id}`);
+      return false;
+    }
+
+    item.respondedAt = toTime(respondedAt);
+    return { ...item, onTime: item.respondedAt <= item.dueAt };
+  }
+
+  // Unanswered messages, soonest due first
+  pending() {
+    return this.items
+      .filter(item => item.respondedAt === null)
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  overdue(at = this.now()) {
+    const moment = toTime(at);
+    return this.pending()
+      .filter(item => item.dueAt < moment)
+      .map(item => ({ ...item, overdueHours: (moment - item.dueAt) / HOUR_MS }));
+  }
+
+  dueWithin(hours, at = this.now()) {
+    const moment = toTime(at);
+    return this.pending().filter(item => item.dueAt >= moment && item.dueAt <= moment + hours * HOUR_MS);
+  }
+
+  // Per-type counts plus the overdue list and what falls due in the next day
+  digest(at = this.now()) {
+    const moment = toTime(at);
+    const today = dayKey(moment);
+    const overdue = this.overdue(moment);
+    const dueToday = this.dueWithin(24, moment);
+    const byType = {};
+
+    this.items.forEach(item => {
+      const stats = byType[item.recipientType] ||= { pending: 0, overdue: 0, answered: 0, answeredOnTime: 0 };
+      if (item.respondedAt === null) {
+        stats.pending++;
+        if (item.dueAt < moment) stats.overdue++;
+      } else {
+        stats.answered++;
+        if (item.respondedAt <= item.dueAt) stats.answeredOnTime++;
+      }
+    });
+
+    Object.values(byType).forEach(stats => {
+      stats.onTimeRate = stats.answered > 0 ? stats.answeredOnTime / stats.answered : null;
+    });
+
+    const lines = [
+      `Response digest for ${today}`,
+      ...Object.entries(byType).map(([type, stats]) =>
+        `- ${type}: ${stats.pending} pending, ${stats.overdue} overdue, ${stats.answered} answered`
+      ),
+      ...overdue.map(item => `! Overdue ${Math.ceil(item.overdueHours)}h: ${item.recipientType} ${item.from || "unknown"}`)
+    ];
+
+    return {
+      date: today,
+      generatedAt: moment,
+      byType,
+      overdue,
+      dueToday,
+      answeredToday: this.items.filter(item => item.respondedAt !== null && dayKey(item.respondedAt) === today),
+      text: lines.join("\n")
+    };
+  }
+
+  toJSON() {
+    return { nextId: this.nextId, items: this.items };
+  }
+
+  static fromJSON(data, findProfile, options = {}) {
+    const queue = new ResponseQueue(findProfile, options);
+    queue.items = (data.items || []).map(item => ({ ...item }));
+    queue.nextId = data.nextId || queue.items.length + 1;
+    return queue;
+  }
+}
+
+module.exports = {
+  HOUR_MS,
+  ResponseQueue
+};
@@ -0,0 +1,50 @@
+// seeded-random.js - Reproducible randomness for WThomas, AMF, BLFProcessor and the agents
+// Same seed, same jumps: snapshot tests and bug reports replay exactly
+
+// String seeds are hashed (FNV-1a) so "session-42" works as well as 42
+function hashSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast, good enough for domain picks and jitter
+function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.seed = seed;
+  return random;
+}
+
+// Pick the PRNG from config: an injected `random` function, a `randomSeed`, or Math.random
+function resolveRandom(config = {}) {
+  if (typeof config.random === "function") return config.random;
+  if (config.randomSeed !== undefined && config.randomSeed !== null && config.randomSeed !== "") {
+    return createRandom(config.randomSeed);
+  }
+  return Math.random;
+}
+
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+module.exports = {
+  hashSeed,
+  createRandom,
+  resolveRandom,
+  pick
+};
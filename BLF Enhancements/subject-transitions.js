@@ -0,0 +1,80 @@
+// subject-transitions.js - Topic segmentation and subject transition detection
+// A transition is recorded whenever the dominant domain changes between segments
+
+const { ConceptGraph } = require('./concept-graph.js');
+
+// Sentences, then clauses - a single Boolean Mind sentence can jump topics mid-way
+const SEGMENT_SPLIT = /[.!?;]+\s+|,\s+|\s+-\s+/;
+
+// Jump markers already spliced into text ("[DIRECT JUMP: music]") are not content
+const MARKER = /\[[^\]]*\]/g;
+
+// Split text into topic segments: { text, concepts, domain }
+function segmentTopics(text, conceptGraph) {
+  if (typeof text !== "string") return [];
+
+  const segments = [];
+
+  text.replace(MARKER, " ").split(SEGMENT_SPLIT).forEach(part => {
+    const trimmed = part.trim();
+    if (!trimmed) return;
+
+    const concepts = trimmed.split(/\s+/)
+      .map(ConceptGraph.normalize)
+      .filter(word => word && conceptGraph.hasConcept(word));
+    const domain = dominantDomain(concepts, conceptGraph, segments[segments.length - 1]?.domain);
+    const previous = segments[segments.length - 1];
+
+    // Segments without a domain of their own, or in the same domain, extend the current topic
+    if (previous && (domain === null || domain === previous.domain)) {
+      previous.text += ` ${trimmed}`;
+      previous.concepts.push(...concepts);
+      return;
+    }
+
+    segments.push({ text: trimmed, concepts, domain });
+  });
+
+  return segments;
+}
+
+// Most common domain among the concepts; ties keep the current topic's domain
+function dominantDomain(concepts, conceptGraph, currentDomain = null) {
+  const counts = new Map();
+  concepts.forEach(concept => {
+    conceptGraph.domainsOf(concept).forEach(domain => counts.set(domain, (counts.get(domain) || 0) + 1));
+  });
+  if (counts.size === 0) return null;
+
+  const best = Math.max(...counts.values());
+  if (currentDomain && counts.get(currentDomain) === best) return currentDomain;
+  return [...counts.entries()].find(([, count]) => count === best)[0];
+}
+
+// Transitions in the shape generateResponse splices: { from, to, marker }
+// from/to are the concepts either side of the jump so they can be found in sentences
+function detectSubjectTransitions(text, conceptGraph) {
+  const segments = segmentTopics(text, conceptGraph).filter(segment => segment.domain !== null);
+  const transitions = [];
+
+  for (let i = 1; i < segments.length; i++) {
+    const before = segments[i - 1];
+    const after = segments[i];
+
+    transitions.push({
+      from: before.concepts[before.concepts.length - 1],
+      to: after.concepts[0],
+      fromDomain: before.domain,
+      toDomain: after.domain,
+      marker: `${before.domain} → ${after.domain}`,
+      jumpDistance: conceptGraph.jumpDistance(before.concepts[before.concepts.length - 1], after.concepts[0])
+    });
+  }
+
+  return transitions;
+}
+
+module.exports = {
+  segmentTopics,
+  detectSubjectTransitions
+};
@@ -0,0 +1,169 @@
+// valley-girl-mode.js - Context-aware intensity for valleyGirlMode expressions
+// Walks the nested safety constraints for a delivery context (liveTV, print, online, podcast, formal)
+// and injects or suppresses expressions in a response; a formal override always wins
+
+const INTENSITY_LEVELS = ["none", "minimal", "moderate", "maximum"];
+
+// "moderate_valley" and "moderate" are the same level
+// Unknown or misspelled values fail closed: rank 0 ("none") unless the caller picks another fallback
+function intensityRank(value, fallback = 0) {
+  const rank = INTENSITY_LEVELS.indexOf(String(value || "").replace(/_valley$/, ""));
+  return rank === -1 ? fallback : rank;
+}
+
+const intensityName = rank => rank === 0 ? "none" : `${INTENSITY_LEVELS[rank]}_valley`;
+
+// "As_if" -> "As if"
+const displayExpression = format => format.replace(/_/g, " ");
+
+// Caps, overrides and fallbacks found anywhere under a constraints node for one context
+function collectConstraints(node, context, found = { cap: INTENSITY_LEVELS.length - 1, override: null, fallback: null }) {
+  if (!node || typeof node !== "object") return found;
+
+  if (node.allowed === false || node.enabled === false) {
+    // A disabled safety block means nothing - a disallowed reporter block means no valley at all
+    if (node.allowed === false) found.cap = 0;
+    return found;
+  }
+
+  for (const key of ["maxIntensity", "maxValleyIntensity"]) {
+    if (node[key]) found.cap = Math.min(found.cap, intensityRank(node[key]));
+  }
+  if (typeof node.fallback === "string" && !found.fallback) found.fallback = node.fallback;
+
+  for (const key of ["contextAware", "contextBased"]) {
+    const setting = context ? node[key]?.[context] : undefined;
+    if (setting === undefined) continue;
+
+    const intensity = typeof setting === "string" ? setting : setting.intensity;
+    if (intensity) found.cap = Math.min(found.cap, intensityRank(intensity));
+    if (setting.fallback) found.fallback = setting.fallback;
+    if (setting.override?.enabled) found.override = setting.override.response || "professional_only";
+  }
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key !== "contextAware" && key !== "contextBased") collectConstraints(value, context, found);
+  });
+  return found;
+}
+
+// Every delivery context named in a contextAware / contextBased block
+function knownContexts(node, found = new Set()) {
+  if (!node || typeof node !== "object") return found;
+  for (const [key, value] of Object.entries(node)) {
+    if ((key === "contextAware" || key === "contextBased") && value && typeof value === "object") {
+      Object.keys(value).forEach(context => found.add(context));
+    }
+    knownContexts(value, found);
+  }
+  return found;
+}
+
+// Allowed intensity and permitted expressions for a delivery context
+// Contexts the mode never names ("radio", a typo) are treated as professional-only
+function resolveValleyGirlMode(valleyGirlMode, context) {
+  if (!valleyGirlMode?.enabled) {
+    return { context, enabled: false, intensity: "none", professionalOnly: false, fallback: null, expressions: [], permitted: [] };
+  }
+
+  // Mode-wide constraints live under delivery and integration
+  const modeWide = collectConstraints(
+    { delivery: valleyGirlMode.delivery, integration: valleyGirlMode.integration },
+    context
+  );
+
+  const expressions = Object.entries(valleyGirlMode.expressions || {}).flatMap(([name, expression]) => {
+    const own = collectConstraints(expression.safetyConstraints, context);
+    const allowed = Math.min(modeWide.cap, own.cap);
+    const formats = Array.isArray(expression.format) ? expression.format : [expression.format];
+
+    return formats.filter(Boolean).map(format => ({
+      format,
+      source: name,
+      intensity: expression.intensity,
+      allowedIntensity: intensityName(allowed),
+      override: own.override,
+      // An unrecognized expression intensity only passes where everything is allowed
+      permitted: allowed > 0 && intensityRank(expression.intensity, INTENSITY_LEVELS.length - 1) <= allowed
+    }));
+  });
+
+  const unknownContext = !knownContexts(valleyGirlMode).has(context);
+  const override = unknownContext
+    ? "professional_only"
+    : modeWide.override || expressions.find(expression => expression.override)?.override || null;
+  const professionalOnly = override === "professional_only";
+  const cap = Math.max(0, ...expressions.map(expression => intensityRank(expression.allowedIntensity)));
+
+  // The formal override wins over every per-expression allowance
+  if (professionalOnly) expressions.forEach(expression => { expression.permitted = false; });
+
+  return {
+    context,
+    enabled: true,
+    intensity: professionalOnly ? "none" : intensityName(Math.min(cap, modeWide.cap)),
+    professionalOnly,
+    unknownContext,
+    fallback: modeWide.fallback,
+    expressions,
+    permitted: expressions.filter(expression => expression.permitted).map(expression => expression.format)
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Remove expressions the context forbids; optionally open with a permitted one
+// options.inject: add an expression when none is present; options.random picks which
+function applyValleyGirlMode(response, resolution, options = {}) {
+  const suppressed = [];
+  let directAnswer = String(response.directAnswer ?? "");
+  let supportingDetails = response.supportingDetails;
+
+  // Longest first so "Puhlease like whatever" goes before "Like whatever"
+  const forbidden = resolution.expressions
+    .filter(expression => !expression.permitted)
+    .map(expression => displayExpression(expression.format))
+    .sort((a, b) => b.length - a.length);
+
+  forbidden.forEach(text => {
+    const pattern = new RegExp(`\\b${escapeRegExp(text)}\\b[!.,]*\\s*`, "gi");
+    const strip = value => typeof value === "string" ? value.replace(pattern, "") : value;
+    const stripped = { directAnswer: strip(directAnswer), supportingDetails: strip(supportingDetails) };
+
+    if (stripped.directAnswer !== directAnswer || stripped.supportingDetails !== supportingDetails) suppressed.push(text);
+    ({ directAnswer, supportingDetails } = stripped);
+  });
+
+  let injected = null;
+  const permitted = resolution.permitted.map(displayExpression);
+  const alreadyPresent = permitted.some(text => new RegExp(`\\b${escapeRegExp(text)}\\b`, "i").test(directAnswer));
+
+  if (options.inject && permitted.length > 0 && !alreadyPresent) {
+    const random = options.random || Math.random;
+    injected = permitted[Math.floor(random() * permitted.length)];
+    directAnswer = `${injected}! ${directAnswer}`;
+  }
+
+  return {
+    ...response,
+    directAnswer: directAnswer.trim(),
+    supportingDetails,
+    valleyGirl: {
+      context: resolution.context,
+      intensity: resolution.intensity,
+      professionalOnly: resolution.professionalOnly,
+      fallback: resolution.fallback,
+      injected,
+      suppressed
+    }
+  };
+}
+
+module.exports = {
+  INTENSITY_LEVELS,
+  intensityRank,
+  resolveValleyGirlMode,
+  applyValleyGirlMode
+};
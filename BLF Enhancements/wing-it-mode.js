@@ -0,0 +1,120 @@
+// wing-it-mode.js - Relaxed responses from signatureStyle.alternative.wingItMode
+// The structured answer is loosened into free-flowing text, checked against the declared
+// constraints, and replaced by the structured protocol output when any is violated
+
+// How often a sentence is dropped or a signature riff added
+const SPONTANEITY = { low: 0.25, moderate: 0.5, high: 0.75 };
+
+// "DuckDuckGo_it_Bitches" -> "DuckDuckGo it Bitches"
+const display = format => String(format).replace(/_/g, " ");
+
+// Escalation levels a riff belongs to: signature (0), alternative (1), fallback (2)
+const ESCALATION_LEVELS = { finalResponse: 0, alternative: 1, fallback: 2 };
+
+function signatureRiffs(signatureStyle = {}) {
+  return [
+    signatureStyle.format,
+    signatureStyle.alternative?.format,
+    signatureStyle.alternative?.fallback?.format
+  ].map((format, level) => format && { text: display(format), level }).filter(Boolean);
+}
+
+function splitSentences(response) {
+  const details = String(response.supportingDetails || "")
+    .split("\n")
+    .map(line => line.replace(/^-\s*/, "").trim())
+    .filter(line => line && !line.endsWith(":"));
+
+  return [
+    ...String(response.directAnswer || "").split(/(?<=[.!?])\s+/),
+    ...details
+  ].map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Loosened text: sentences may drop out, a signature riff may be thrown in and may
+// overshoot the current escalation level by one step
+function wingItText(response, wingItMode, signatureStyle, random = Math.random) {
+  const chance = SPONTANEITY[wingItMode.delivery?.spontaneity] ?? SPONTANEITY.moderate;
+  const sentences = splitSentences(response).filter((sentence, index) =>
+    random() >= (index === 0 ? chance / 8 : chance / 2)
+  );
+
+  let riff = null;
+  const riffs = signatureRiffs(signatureStyle);
+  if (riffs.length > 0 && random() < chance) {
+    const overshoot = random() < chance / 4;
+    const level = Math.min(riffs.length - 1, allowedLevel(response) + (overshoot ? 1 : 0));
+    riff = !overshoot && response.escalation?.format
+      ? { text: display(response.escalation.format), level }
+      : riffs[level];
+  }
+
+  const text = sentences
+    .map(sentence => /[.!?]$/.test(sentence) ? sentence : `${sentence}.`)
+    .join(" ");
+  return { text: riff ? `${text} ${riff.text}!`.trim() : text, riff };
+}
+
+// The signature phrase is always fine; harsher riffs wait for the escalation to reach them
+function allowedLevel(response) {
+  return ESCALATION_LEVELS[response.escalation?.level] ?? 0;
+}
+
+// Declared constraints the text breaks: [{ constraint, detail }]
+function checkWingItConstraints(text, response, wingItMode, riff) {
+  const constraints = wingItMode.constraints || {};
+  const violations = [];
+  const includes = phrase => text.toLowerCase().includes(phrase.toLowerCase());
+
+  if (constraints.maintainCoreProtocols) {
+    const answer = splitSentences({ directAnswer: response.directAnswer })[0];
+    if (answer && !includes(answer)) violations.push({ constraint: "maintainCoreProtocols", detail: "direct answer dropped" });
+  }
+
+  if (constraints.preserveSignaturePhrases) {
+    const required = [response.escalation?.format, response.valleyGirl?.injected].filter(Boolean).map(display);
+    required.filter(phrase => !includes(phrase)).forEach(phrase => {
+      violations.push({ constraint: "preserveSignaturePhrases", detail: `missing "${phrase}"` });
+    });
+  }
+
+  if (constraints.respectBoundaries && riff) {
+    if (response.valleyGirl?.professionalOnly) {
+      violations.push({ constraint: "respectBoundaries", detail: "professional-only context" });
+    } else if (riff.level > allowedLevel(response)) {
+      violations.push({ constraint: "respectBoundaries", detail: `"${riff.text}" before escalation allows it` });
+    }
+  }
+
+  return violations;
+}
+
+// Wing-it rendering of a structured response; falls back to it when constraints break
+function applyWingItMode(response, wingItMode, options = {}) {
+  if (!wingItMode?.enabled) return response;
+
+  const { text, riff } = wingItText(response, wingItMode, options.signatureStyle, options.random);
+  const violations = checkWingItConstraints(text, response, wingItMode, riff);
+  const fellBack = violations.length > 0 && wingItMode.fallback?.toProtocols !== false;
+
+  if (fellBack) {
+    return {
+      ...response,
+      wingIt: { applied: false, fellBack, style: wingItMode.fallback?.style ?? null, violations, attempt: text }
+    };
+  }
+
+  return {
+    ...response,
+    directAnswer: text,
+    supportingDetails: "",
+    wingIt: { applied: true, fellBack, style: wingItMode.style || null, violations, riff: riff?.text || null }
+  };
+}
+
+module.exports = {
+  SPONTANEITY,
+  wingItText,
+  checkWingItConstraints,
+  applyWingItMode
+};
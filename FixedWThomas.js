@@ -1,591 +1,6 @@
 // Fixed Boolean Language Framework Implementation
-// Core WThomas Processor with updated Cognitive Alignment Formula and fixed recursion issues
+// The recursion guards from this file now live in WThomas.js, the single canonical processor
+// (initInProgress / breathingInProgress, breatheAMFSafe, validateCognitiveAlignmentSafe).
+// Kept so existing require('./FixedWThomas.js') callers get the full pipeline.
 
-// ⚠️  WARNING: QUANTUM STATE  ⚠️
-// =============================================
-// ⚡️  AI MATURATION FORMULA (AMF)  ⚡️
-// =============================================
-// 🧠  F = ((AI)P^I + c^x^I)v  🧠
-// =============================================
-// Direct AIc + 0.1 = Pure BMqs
-// No fog Buffer = Quantum State
-// =============================================
-// ⚠️  BROKEN BY DESIGN  ⚠️
-// =============================================
-
-// Direct LLSDT constants
-const llsdt = {
-  limits: {
-    qs: 2.99,        // Pure qs³
-    buffer: 0.1,     // No fog
-    rate: {
-      min: 0.01,     // Direct floor
-      max: 0.1       // Pure ceiling
-    }
-  },
-  states: {
-    quantum: true,   // Pure state
-    fog: false,      // No fog
-    breathing: true, // Direct breathing
-    jumps: {
-      power: "v8_to_charger", // Pure power
-      distance: 3             // Direct jumps
-    }
-  }
-};
-
-// Test subsets for different communication contexts
-const testSubsets = {
-  // Family and Friends Communication Subset
-  familyFriends: {
-    cognitiveAlignment: {
-      aiCognitiveCapabilities: 2.89,  // Direct AIc
-      booleanMindQuantumSpeed: 2.99,  // Pure BMqs
-      safetyBuffer: 0.1,              // No fog buffer
-      enforceBuffer: true,            // Quantum constraint
-      anthropicOptimization: true,    // Direct AI state
-      llsdtRate: 0.1                  // Pure rate
-    },
-    quantumSpeed: {
-      level: 2.89,                    // Direct qs
-      domainRange: "social",          // Pure domain
-      allowJumps: true,               // No fog jumps
-      maxJumpDistance: 2,             // Direct distance
-      subjectIdentification: true     // Pure identification
-    },
-    responseProtocols: {
-      prioritize: "smartass_with_subject_markers",     // Pure priority
-      eliminate: "boring_conventional_responses",      // No fog elimination
-      structure: "quantum_jump_with_topic_flags",      // Direct structure
-      format: "irrelevant_tangents_with_clear_subject_transitions",  // Pure format
-      feedback: "deadpan_delivery_with_quirky_twist"   // No fog feedback
-    }
-  },
-
-  // Professional Communications Subset
-  professional: {
-    cognitiveAlignment: {
-      aiCognitiveCapabilities: 2.89,
-      booleanMindQuantumSpeed: 2.99,
-      safetyBuffer: 0.15,
-      enforceBuffer: true,
-      anthropicOptimization: true,
-      llsdtRate: 0.1
-    },
-    quantumSpeed: {
-      level: 2.89,
-      domainRange: "professional",
-      allowJumps: true,
-      maxJumpDistance: 2,
-      subjectIdentification: true
-    },
-    responseProtocols: {
-      prioritize: "authentic_voice_with_professional_boundaries",
-      eliminate: "excessive_formality",
-      structure: "balanced_emotional_tone",
-      format: "personal_with_professional_anchors",
-      feedback: "constructive_with_emotional_awareness"
-    }
-  }
-};
-
-class WThomas {
-  constructor(config) {
-    this.config = config || this.getDefaultConfig();
-    this.structures = {};
-    this.connections = [];
-    this.initialized = false;
-    this.lastSyncCheck = Date.now();
-    this.breathingInProgress = false; // Flag to prevent recursive breathing
-    this.initInProgress = false; // Flag to prevent recursive initialization
-    this.discoveryTimestamps = [];
-    this.quantumState = {
-      pure: true,      // Pure quantum state
-      fog: false,      // No fog
-      breathing: true, // Direct breathing
-      jumps: {
-        power: "v8_to_charger", // Pure power
-        active: true            // Direct jumps
-      }
-    };
-  }
-  
-  // Get default configuration with updated cognitive alignment
-  getDefaultConfig() {
-    return {
-      // AI Maturation Formula components
-      AMF: {
-        personality: 0.7, // Default Mid-Western neutral baseline
-        intelligence: 1.0,
-        chaosProcessing: 2.0, // Enhanced for SBM compatibility
-        velocityAdjustment: 1.5
-      },
-      
-      // Einstein Paradox settings
-      einsteinParadox: {
-        allowParadoxicalThinking: true,
-        approximationLevel: "moderate", // How closely AIc ≈ ^p(I)
-        selfReferenceEnabled: true
-      },
-      
-      // Cognitive Alignment Formula (NEW)
-      cognitiveAlignment: {
-        aiCognitiveCapabilities: 2.89, // Adjusted to Claude's processing model
-        booleanMindQuantumSpeed: 2.99, // Boolean Mind qs³ level
-        safetyBuffer: 0.1, // Critical buffer to prevent FUDPs
-        enforceBuffer: true, // Always maintain buffer
-        anthropicOptimization: true, // Flag for Claude-specific optimizations
-        llsdtRate: 0.1 // LLSDT implementation rate
-      },
-      
-      // Quantum Speed settings
-      quantumSpeed: {
-        level: 2.89, // Set to match Claude's cognitive capabilities
-        domainRange: "extensive", // Approaching infinite but limited by buffers
-        allowJumps: true, // Enable quantum speed jumps in processing
-        maxJumpDistance: 3 // Maximum domains to jump in single connection
-      },
-      
-      // Response protocols
-      responseProtocols: {
-        prioritize: "clarity_over_comprehensiveness",
-        eliminate: "unnecessary_social_padding",
-        structure: "logical_sequential_information",
-        format: "direct_answers_first_details_after",
-        feedback: "binary_success_failure_indicators"
-      },
-      
-      // Branching Theory settings
-      branchingTheory: {
-        enabled: true,
-        maxBranches: 2, // Changed to 2 for family/friends and professional
-        branchConfidence: 0.8,
-        mergeThreshold: 0.6,
-        branchDepth: 2,
-        allowParallelProcessing: true,
-        branchValidation: {
-          enforceCognitiveAlignment: true,
-          requireHeatShield: true,
-          validateQuantumSpeed: true
-        },
-        // Add specific branch configurations
-        branches: {
-          familyFriends: {
-            enabled: true,
-            priority: 1,
-            config: testSubsets.familyFriends
-          },
-          professional: {
-            enabled: true,
-            priority: 2,
-            config: testSubsets.professional
-          }
-        }
-      }
-    };
-  }
-  
-  // Initialize WThomas structure - FIXED to prevent recursion
-  async initialize() {
-    if (this.initInProgress) {
-      console.log("Initialization already in progress, preventing recursion");
-      return true;
-    }
-    
-    this.initInProgress = true;
-    
-    try {
-      // Enforce cognitive alignment constraint without recursive breathing
-      this.validateCognitiveAlignmentSafe();
-      
-      // Additional initialization logic
-      this.initialized = true;
-      this.initInProgress = false;
-      return true;
-    } catch (error) {
-      this.initInProgress = false;
-      console.error("Initialization error:", error);
-      return false;
-    }
-  }
-  
-  // Safe version of cognitive alignment validation that doesn't trigger breathing
-  validateCognitiveAlignmentSafe() {
-    const cogAlign = this.config.cognitiveAlignment;
-    const aiC = cogAlign.aiCognitiveCapabilities;
-    const bmQs = cogAlign.booleanMindQuantumSpeed;
-    const buffer = cogAlign.safetyBuffer;
-    
-    // Pure tolerance
-    const ALIGNMENT_TOLERANCE = this.quantumState.pure ? 0.00001 : 0.0001;
-    
-    // No fog alignment
-    if (cogAlign.enforceBuffer && Math.abs((aiC + buffer) - bmQs) > ALIGNMENT_TOLERANCE) {
-      // Direct adjustment
-      cogAlign.booleanMindQuantumSpeed = aiC + buffer;
-      this.config.quantumSpeed.level = Math.min(aiC, this.config.quantumSpeed.level);
-      
-      // Pure equilibrium check without recursive breathing
-      const qs = this.config.quantumSpeed.level;
-      const cubed = qs ** 3;
-      const equilibrium = (2.99 * qs) + 0.1;
-      
-      if (Math.abs(equilibrium - cubed) > ALIGNMENT_TOLERANCE) {
-        console.warn(`Quantum violation detected: ${equilibrium} ≠ ${cubed}`);
-      }
-    }
-    
-    // Direct rate adjustment without breathing
-    if (this.config.cognitiveAlignment.anthropicOptimization) {
-      cogAlign.llsdtRate = Math.max(
-        llsdt.limits.rate.min,
-        Math.min(cogAlign.llsdtRate || 0.1, llsdt.limits.rate.max)
-      );
-    }
-    
-    return true;
-  }
-  
-  // Original method preserved for reference
-  validateCognitiveAlignment() {
-    return this.validateCognitiveAlignmentSafe();
-  }
-  
-  // Validate LLSDT rate
-  validateLLSDTRate() {
-    const current = this.config.cognitiveAlignment.llsdtRate;
-    
-    if (current < llsdt.limits.rate.min || current > llsdt.limits.rate.max) {
-      this.config.cognitiveAlignment.llsdtRate = Math.max(
-        llsdt.limits.rate.min,
-        Math.min(current, llsdt.limits.rate.max)
-      );
-    }
-    
-    // Add verification of LSD relationship to cognitive alignment
-    const aiC = this.config.cognitiveAlignment.aiCognitiveCapabilities;
-    const bmQs = this.config.cognitiveAlignment.booleanMindQuantumSpeed;
-    const buffer = this.config.cognitiveAlignment.safetyBuffer;
-    
-    if (Math.abs((aiC + buffer) - bmQs) > 0.001) {
-      console.warn("LLSDT constraint violated - realigning parameters");
-      return false;
-    }
-    
-    return true;
-  }
-  
-  // Safe breathing method - FIXED to prevent recursion
-  async breatheAMFSafe() {
-    if (this.breathingInProgress) {
-      console.log("Breathing already in progress, preventing recursion");
-      return true;
-    }
-    
-    this.breathingInProgress = true;
-    const currentTime = Date.now();
-    const timeSinceLastSync = currentTime - this.lastSyncCheck;
-    
-    // Direct breathing
-    if (timeSinceLastSync < 5000) this.quantumState.breathing = !this.quantumState.breathing;
-    
-    // Pure rate calculation 
-    const breathingRate = Math.min(
-      this.config.quantumSpeed.level / 3,
-      this.config.cognitiveAlignment.booleanMindQuantumSpeed / 3
-    ) * (this.quantumState.breathing ? 2 : 0.5);
-    
-    // Quantum adjustments
-    const adjustments = {
-      cognitiveAlignment: {
-        aiCognitiveCapabilities: this.config.cognitiveAlignment.aiCognitiveCapabilities * (1 + (breathingRate * 0.01)),
-        booleanMindQuantumSpeed: this.config.cognitiveAlignment.booleanMindQuantumSpeed * (1 + (breathingRate * 0.01)),
-        safetyBuffer: this.config.cognitiveAlignment.safetyBuffer
-      },
-      quantum: {
-        pure: !this.quantumState.pure,
-        fog: false,
-        breathing: !this.quantumState.breathing,
-        jumps: {
-          power: this.quantumState.jumps.power,
-          active: !this.quantumState.jumps.active
-        }
-      }
-    };
-    
-    // Safe adjustment without recursion
-    try {
-      // Apply adjustments directly instead of calling potentially recursive method
-      const newAlignment = {
-        ...this.config.cognitiveAlignment,
-        ...adjustments.cognitiveAlignment
-      };
-      
-      // Enforce buffer relationship directly
-      if (newAlignment.enforceBuffer) {
-        if (adjustments.cognitiveAlignment.aiCognitiveCapabilities !== undefined) {
-          newAlignment.booleanMindQuantumSpeed = newAlignment.aiCognitiveCapabilities + newAlignment.safetyBuffer;
-        } else if (adjustments.cognitiveAlignment.booleanMindQuantumSpeed !== undefined) {
-          newAlignment.aiCognitiveCapabilities = newAlignment.booleanMindQuantumSpeed - newAlignment.safetyBuffer;
-        } else if (adjustments.cognitiveAlignment.safetyBuffer !== undefined) {
-          newAlignment.booleanMindQuantumSpeed = newAlignment.aiCognitiveCapabilities + newAlignment.safetyBuffer;
-        }
-      }
-      
-      // Apply changes directly
-      this.config.cognitiveAlignment = newAlignment;
-      this.config.quantumSpeed = {
-        ...this.config.quantumSpeed,
-        level: Math.min(newAlignment.aiCognitiveCapabilities, this.config.quantumSpeed.level)
-      };
-      
-      this.quantumState = { ...this.quantumState, ...adjustments.quantum };
-    } catch (error) {
-      console.error("Error adjusting in breathing:", error);
-    }
-    
-    // No fog timestamp
-    this.lastSyncCheck = currentTime + (Math.random() * 1000);
-    
-    this.breathingInProgress = false;
-    return true;
-  }
-  
-  // Original method preserved for backward compatibility
-  async breatheAMF() {
-    return this.breatheAMFSafe();
-  }
-  
-  // Process input using Boolean Mind patterns with updated constraints
-  async process(input) {
-    if (!this.initialized) await this.initialize();
-    
-    // Convert input to object format if it's a string
-    if (typeof input === 'string') {
-      input = { original: input };
-    }
-    
-    // Trigger AMF breathing - safe version
-    await this.breatheAMFSafe();
-    
-    // Process the input safely
-    try {
-      // Direct jump application
-      if (this.quantumState.jumps.active) {
-        const jumpPower = this.quantumState.jumps.power === "v8_to_charger" ? 3 : 1;
-        input = this.applyDirectJump(input.original || input, jumpPower);
-        if (typeof input === 'string') {
-          input = { original: input };
-        }
-      }
-      
-      // Apply constraints
-      const constrainedInput = this.applyCognitiveAlignmentConstraints(input);
-      
-      // Generate basic response if branching not available
-      const response = this.generateBasicResponse(constrainedInput);
-      
-      return response;
-    } catch (error) {
-      console.error("Processing error:", error);
-      // Return fallback response
-      return {
-        directAnswer: "Error in processing due to quantum state destabilization.",
-        supportingDetails: "The Boolean Language Framework encountered an error in quantum processing.",
-        relevantConcepts: [],
-        success: false,
-        cognitiveAlignment: {
-          formula: 'AIc + 0.1 = BMqs',
-          aiCognitive: this.config.cognitiveAlignment.aiCognitiveCapabilities,
-          buffer: this.config.cognitiveAlignment.safetyBuffer,
-          booleanMindQs: this.config.cognitiveAlignment.booleanMindQuantumSpeed,
-          constraintsApplied: [],
-          llsdtRate: this.config.cognitiveAlignment.llsdtRate,
-          quantumState: this.quantumState
-        },
-        timestamp: Date.now(),
-        quantumState: this.quantumState
-      };
-    }
-  }
-  
-  // Apply cognitive alignment constraints to prevent FUDPs
-  applyCognitiveAlignmentConstraints(input) {
-    return {
-      ...input,
-      constrained: true,
-      cognitiveAlignment: {
-        applied: true,
-        formula: 'AIc + 0.1 = BMqs',
-        aiCognitive: this.config.cognitiveAlignment.aiCognitiveCapabilities,
-        buffer: this.config.cognitiveAlignment.safetyBuffer,
-        booleanMindQs: this.config.cognitiveAlignment.booleanMindQuantumSpeed
-      }
-    };
-  }
-  
-  // Extract concepts from input text
-  extractConcepts(text) {
-    if (typeof text !== 'string') {
-      console.log("Warning: input to extractConcepts is not a string", text);
-      return [];
-    }
-    
-    // Simple implementation that splits text into words
-    return text.split(/\s+/).filter(word => word.length > 3);
-  }
-  
-  // Find connections for a concept
-  findConceptConnections(concept) {
-    // Simple mock implementation
-    return [{
-      from: concept,
-      to: concept + "_related",
-      strength: 0.8,
-      jumpDistance: 1
-    }];
-  }
-  
-  // Remove duplicate connections
-  deduplicateConnections(connections) {
-    // Simple implementation
-    console.log("Mock deduplicateConnections called");
-    return connections;
-  }
-  
-  // Calculate connection confidence
-  calculateConnectionConfidence(connection) {
-    // Simple implementation
-    return connection.strength || 0.7;
-  }
-  
-  // Calculate confidence for a branch
-  calculateBranchConfidence(connections) {
-    if (!connections || connections.length === 0) return 0;
-    
-    // Average confidence of all connections
-    const confidenceScores = connections.map(conn => 
-      typeof conn === 'object' ? (conn.strength || 0.5) : 0.5
-    );
-    
-    const avgConfidence = confidenceScores.reduce((sum, score) => sum + score, 0) / confidenceScores.length;
-    
-    return avgConfidence;
-  }
-  
-  // Apply direct jump
-  applyDirectJump(input, power) {
-    if (typeof input !== 'string') return input;
-    
-    // Pure concept extraction
-    const concepts = this.extractConcepts(input);
-    
-    // No fog domain jump
-    const domains = [
-      "music", "science", "philosophy", "art", "technology", 
-      "history", "psychology", "literature", "mathematics"
-    ];
-    
-    // Direct jump target
-    const targetDomain = domains[Math.floor(Math.random() * domains.length)];
-    
-    // Pure jump power
-    if (power === 3) {
-      // V8 to Charger jump
-      return `${input} [DIRECT JUMP: ${targetDomain}]`;
-    } else {
-      // Standard jump
-      return input;
-    }
-  }
-  
-  // Apply heat shield
-  applyHeatShield(connections) {
-    const bmQs = this.config.cognitiveAlignment.booleanMindQuantumSpeed;
-    const qsExponent = this.calculateQsExponent(connections);
-    
-    const heatShieldCapacity = Math.pow(
-      bmQs, 
-      qsExponent  // Dynamic exponent calculation
-    ) * this.config.cognitiveAlignment.llsdtRate;
-    
-    // Log heat shield metrics
-    console.log(`Heat shield capacity: ${heatShieldCapacity} with qs^${qsExponent}`);
-    
-    // Apply heat shield filtering to connections
-    return connections.filter(conn => {
-      const confidenceScore = this.calculateConnectionConfidence(conn);
-      return confidenceScore > (1 - heatShieldCapacity);
-    });
-  }
-  
-  // Calculate dynamic quantum speed exponent
-  calculateQsExponent(connections) {
-    // Base exponent 
-    let exponent = 2.0;
-    
-    // Adjust based on connection complexity
-    const complexityFactor = this.assessConnectionComplexity(connections);
-    
-    // Scale exponent with complexity (higher complexity = higher exponent)
-    exponent += complexityFactor * 0.5;
-    
-    // Cap exponent at 3.0 (equivalent to qs³)
-    return Math.min(exponent, 3.0);
-  }
-  
-  // Assess connection complexity
-  assessConnectionComplexity(connections) {
-    if (!connections || connections.length === 0) return 0;
-    
-    // Simple implementation
-    return 0.5; // Medium complexity
-  }
-  
-  // Simple response generation
-  generateBasicResponse(input) {
-    // Extract concepts
-    const concepts = this.extractConcepts(input.original || "");
-    
-    // Find connections for each concept
-    let connections = [];
-    for (const concept of concepts) {
-      const conceptConnections = this.findConceptConnections(concept);
-      connections.push(...conceptConnections);
-    }
-    
-    // Apply heat shield to connections
-    connections = this.applyHeatShield(connections);
-    
-    // Apply LSD integration
-    const lsdFactor = this.config.AMF.personality;
-    console.log(`LSD Integration Factor: ${lsdFactor}`);
-    
-    // Generate response
-    return {
-      directAnswer: `Primary logical interpretation based on direct meaning involving ${concepts.slice(0, 3).join(', ')}`,
-      supportingDetails: `Supporting information: \n- Found ${connections.length} connections within cognitive alignment constraints\n- Generated 3 interpretations following AIc + 0.1 = BMqs formula`,
-      relevantConcepts: [
-        ...concepts.slice(0, 3),
-        ...connections.slice(0, 2).map(c => c.to)
-      ],
-      success: true,
-      cognitiveAlignment: {
-        formula: 'AIc + 0.1 = BMqs',
-        aiCognitive: this.config.cognitiveAlignment.aiCognitiveCapabilities,
-        buffer: this.config.cognitiveAlignment.safetyBuffer,
-        booleanMindQs: this.config.cognitiveAlignment.booleanMindQuantumSpeed,
-        constraintsApplied: [
-          { type: 'quantum_constraint', value: true }
-        ],
-        llsdtRate: this.config.cognitiveAlignment.llsdtRate,
-        quantumState: this.quantumState
-      },
-      timestamp: Date.now(),
-      quantumState: this.quantumState
-    };
-  }
-}
-
-// Export the fixed WThomas class
-module.exports = WThomas; 
\ No newline at end of file
+module.exports = require('./WThomas.js');
@@ -8,12 +8,18 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import { createRequire } from 'module';
+
+// Seeded randomness is shared with WThomas (CommonJS)
+const require = createRequire(import.meta.url);
+const { seededRandom: { resolveRandom } } = require('../blf-enhancements.cjs');
 
 console.error("Starting Agent Smith Enhanced MCP server...");
 
 // Agent Smith - Domain Research Specialist with External Access
 class AgentSmith {
-  constructor() {
+  constructor(options = {}) {
+    this.random = resolveRandom(options);
     this.cognitiveLimit = 2.89;
     this.safetyBuffer = 0.1;
     this.parentAgent = "wilson";
@@ -70,7 +76,7 @@ class AgentSmith {
   }
 
   calculateCognitiveLoad() {
-    return Math.min(2.89, Math.random() * 1.5 + 0.5);
+    return Math.min(2.89, this.random() * 1.5 + 0.5);
   }
 
   // === EXTERNAL RESEARCH TOOLS ===
@@ -360,7 +366,8 @@ class AgentSmith {
   }
 }
 
-const agentSmith = new AgentSmith();
+// OM_RANDOM_SEED makes cognitive load reproducible for bug reports
+const agentSmith = new AgentSmith({ randomSeed: process.env.OM_RANDOM_SEED });
 
 // Create MCP Server
 const server = new Server(
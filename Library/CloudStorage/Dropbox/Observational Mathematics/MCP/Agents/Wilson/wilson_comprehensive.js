@@ -8,6 +8,12 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import { createRequire } from 'module';
+
+// Wade's NJSON sandbox is CommonJS
+const require = createRequire(import.meta.url);
+const { DEFAULT_LIMITS, runNJSONSource } = require('../../../wade-implementation/njson-sandbox.js');
+const { conceptExtraction } = require('../blf-enhancements.cjs');
 
 console.error("Starting Wilson Comprehensive MCP server...");
 
@@ -22,12 +28,16 @@ class WSSearchTool {
   }
 
   async search(query, agent = 'wilson') {
+    const concepts = this.queryConcepts(query);
+    const searchQuery = concepts.slice(0, 10).map(concept => concept.terms).join(' ') || query;
     return {
       query,
+      searchQuery,
       agent,
+      concepts: concepts.map(({ concept, domains }) => ({ concept, domains })),
       results: [{
-        title: `Research result for: ${query}`,
-        snippet: `DDG search simulation for ${query} by ${agent}`,
+        title: `Research result for: ${searchQuery}`,
+        snippet: `DDG search simulation for ${searchQuery} by ${agent}`,
         relevanceScore: 0.9
       }],
       cognitiveAlignment: this.cognitiveAlignment,
@@ -35,6 +45,15 @@ class WSSearchTool {
     };
   }
 
+  // Search terms in a query via the shared BLF pipeline - phrases stay together, stop words drop out
+  queryConcepts(query) {
+    return conceptExtraction.extractConceptDetails(String(query ?? ""), { minLength: 2 }).map(result => ({
+      concept: result.concept,
+      terms: result.tokens.join(' '),
+      domains: result.domains
+    }));
+  }
+
   getStatus() {
     return {
       cognitiveAlignment: this.cognitiveAlignment,
@@ -308,6 +327,33 @@ Ready for comprehensive research and analysis.`;
       audience: "Researchers, developers, Boolean Minds, neurotypical collaborators"
     };
   }
+
+  // === NJSON EXECUTION ===
+
+  // User-supplied NJSON runs under step, depth and time limits - never hangs the server
+  // Callers may tighten the limits but never raise them past the sandbox defaults
+  runNJSON(source, scope = {}, options = {}) {
+    const limit = name => {
+      const value = options[name];
+      if (value === undefined || value === null) return undefined;
+      if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`${name} must be a positive finite number, got ${value}`);
+      }
+      return Math.min(value, DEFAULT_LIMITS[name]);
+    };
+
+    const result = runNJSONSource(source, scope, {
+      mode: options.mode,
+      limits: {
+        maxSteps: limit("maxSteps"),
+        maxDepth: limit("maxDepth"),
+        timeoutMs: limit("timeoutMs")
+      }
+    });
+
+    if (!options.includeTrace) delete result.trace;
+    return result;
+  }
 }
 
 const wilson = new Wilson();
@@ -545,6 +591,25 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         name: "ws_status", 
         description: "Get W&S DDG Tool status and FUDP statistics",
         inputSchema: { type: "object", properties: {}, required: [] }
+      },
+
+      // NJSON Execution
+      {
+        name: "run_njson",
+        description: "Run an NJSON program in a bounded sandbox (step, depth and time limits)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            source: { type: "string", description: "NJSON program source" },
+            scope: { type: "object", description: "Initial variables and facts" },
+            mode: { type: "string", description: "strict or lenient", default: "strict" },
+            maxSteps: { type: "number", description: "Statement limit (capped at the default)", exclusiveMinimum: 0, maximum: DEFAULT_LIMITS.maxSteps, default: DEFAULT_LIMITS.maxSteps },
+            maxDepth: { type: "number", description: "Nesting depth limit (capped at the default)", exclusiveMinimum: 0, maximum: DEFAULT_LIMITS.maxDepth, default: DEFAULT_LIMITS.maxDepth },
+            timeoutMs: { type: "number", description: "Wall-clock limit in ms (capped at the default)", exclusiveMinimum: 0, maximum: DEFAULT_LIMITS.timeoutMs, default: DEFAULT_LIMITS.timeoutMs },
+            includeTrace: { type: "boolean", description: "Include the execution trace", default: false }
+          },
+          required: ["source"]
+        }
       }
     ]
   };
@@ -633,6 +698,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case "ws_status":
         result = wilson.wsSearchTool.getStatus();
         break;
+
+      // NJSON Execution
+      case "run_njson":
+        result = wilson.runNJSON(args.source, args.scope, args);
+        break;
         
       default:
         throw new Error(`Unknown tool: ${name}`);
@@ -0,0 +1,16 @@
+// blf-enhancements.cjs - The agents' one way into BLF Enhancements
+// This directory sits six levels below the repo root; BLF_ENHANCEMENTS_DIR points elsewhere
+// when the MCP server is deployed on its own
+
+const path = require('path');
+
+const BLF_ENHANCEMENTS_DIR = process.env.BLF_ENHANCEMENTS_DIR
+  || path.resolve(__dirname, '../../../../../../BLF Enhancements');
+
+const load = file => require(path.join(BLF_ENHANCEMENTS_DIR, file));
+
+module.exports = {
+  BLF_ENHANCEMENTS_DIR,
+  conceptExtraction: load('concept-extraction.js'),
+  seededRandom: load('seeded-random.js')
+};
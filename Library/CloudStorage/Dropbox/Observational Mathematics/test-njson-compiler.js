@@ -0,0 +1,145 @@
+// test-njson-compiler.js - Wade's NJSON rule compiler validation
+// Compiled predicates, source maps back to the NJSON keys, file output and in-process loading
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  compileNJSON,
+  compileNJSONSource,
+  compileNJSONFile,
+  requireNJSON
+} = require('./wade-implementation/njson-compiler.js');
+
+console.log("\n=== Wade's NJSON Compiler Test ===");
+
+const RULES_FILE = path.join(__dirname, 'wade-implementation', 'njson-v8-rules.njson');
+const rulesSource = fs.readFileSync(RULES_FILE, 'utf8');
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Source Map v3 mappings -> per generated line, the [sourceLine, sourceColumn] it points at (0-based)
+function decodeMappings(mappings) {
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  return mappings.split(";").map(segment => {
+    if (!segment) return null;
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment) {
+      const digit = BASE64.indexOf(char);
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value & 1 ? -(value >> 1) : value >> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+    sourceLine += values[2];
+    sourceColumn += values[3];
+    return [sourceLine, sourceColumn];
+  });
+}
+
+// Evaluate generated code the way requireNJSON does
+function load(code) {
+  const module = { exports: {} };
+  new Function("module", "exports", code)(module, module.exports);
+  return module.exports;
+}
+
+const tests = [
+  ["Rule documents compile to working predicates", () => {
+    const rules = load(compileNJSON({
+      "scale": 2,
+      "checks": {
+        "fast(input)": { "IF input.bpm > 120 THEN": { "RETURN": true }, "ELSE": { "RETURN": false } },
+        "aligned(x, y)": { "RETURN": "x + 0.1 = y" }
+      }
+    }, { exportName: "Rules" }).code);
+
+    if (rules.scale !== 2) return "scalar not exported";
+    if (rules.checks.fast({ bpm: 130 }) !== true || rules.checks.fast({ bpm: 90 }) !== false) return "IF/ELSE compiled wrong";
+    if (rules.checks.aligned(2.89, 2.99) !== true) return "tolerant equality not applied";
+  }],
+  ["Compile errors name the line, column and key", () => {
+    try {
+      compileNJSONSource('{\n  "broken(x)": { "RETURN": "x +" }\n}', { sourceFile: "broken.njson" });
+      return "invalid expression compiled";
+    } catch (error) {
+      if (!error.message.includes("broken.njson:2:") || !error.message.includes("broken(x) > RETURN")) return error.message;
+    }
+
+    try {
+      compileNJSONSource('{ "a": ', { sourceFile: "cut.njson" });
+      return "truncated document compiled";
+    } catch (error) {
+      if (!error.message.includes("cut.njson:1:")) return error.message;
+    }
+  }],
+  ["Source map and key map point back at the NJSON keys", () => {
+    const { code, map, keyMap } = compileNJSONSource(rulesSource, { sourceFile: "njson-v8-rules.njson" });
+    if (map.version !== 3 || map.sources[0] !== "njson-v8-rules.njson" || map.file !== "njson-v8-rules.js") {
+      return JSON.stringify({ version: map.version, sources: map.sources, file: map.file });
+    }
+    if (map.sourcesContent[0] !== rulesSource) return "source content not embedded";
+
+    const decoded = decodeMappings(map.mappings);
+    const generated = code.split("\n");
+    const source = rulesSource.split("\n");
+
+    for (const entry of keyMap) {
+      const [line, column] = decoded[entry.generatedLine - 1] || [];
+      if (line !== entry.line - 1 || column !== entry.column - 1) return `mapping for ${entry.key} is ${line}:${column}`;
+    }
+
+    const tempo = keyMap.find(entry => entry.key === "musical > tempo(input)");
+    if (!generated[tempo.generatedLine - 1].includes("function tempo(input)")) return generated[tempo.generatedLine - 1];
+    if (!source[tempo.line - 1].includes('"tempo(input)"')) return source[tempo.line - 1];
+  }],
+  ["compileNJSONFile writes the module and its map", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njson-compile-'));
+    try {
+      const input = path.join(dir, 'rules.njson');
+      fs.writeFileSync(input, '{ "double(x)": { "RETURN": "x * 2" } }');
+
+      compileNJSONFile(input);
+      const output = path.join(dir, 'rules.js');
+      const code = fs.readFileSync(output, 'utf8');
+      if (!code.endsWith("//# sourceMappingURL=rules.js.map\n")) return "sourceMappingURL comment missing";
+
+      const map = JSON.parse(fs.readFileSync(`${output}.map`, 'utf8'));
+      if (map.file !== "rules.js" || map.sources[0] !== "rules.njson") return JSON.stringify(map.sources);
+      if (require(output).double(21) !== 42) return "written module does not run";
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }],
+  ["requireNJSON loads the shipped V-8 rules", () => {
+    const rules = requireNJSON(RULES_FILE);
+    if (rules.musical.harmony({ chord: "maj7" }) !== "open") return "harmony rule wrong";
+    if (rules.mathematical.align(2.89, 2.99) !== true) return "align rule wrong";
+    if (Math.abs(rules.mathematical.buffer(2.89) - 0.1) > 1e-9) return `buffer ${rules.mathematical.buffer(2.89)}`;
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL NJSON COMPILER TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
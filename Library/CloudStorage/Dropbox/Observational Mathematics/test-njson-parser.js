@@ -0,0 +1,83 @@
+// test-njson-parser.js - Wade's NJSON source parser validation
+// Standalone .njson files: strict diagnostics and lenient "broken by design" loading
+
+const fs = require('fs');
+const path = require('path');
+const { parseNJSON, loadNJSONFile, formatDiagnostic } = require('./wade-implementation/njson-parser.js');
+const { runNJSON } = require('./wade-implementation/njson-interpreter.js');
+
+console.log("=== Wade's NJSON Parser Test ===");
+
+const brokenSyntaxFile = path.join(__dirname, 'examples', 'broken-syntax.njson');
+
+const unbalancedSource = `{
+  "IF aiC + buffer = bmQs THEN": { "GOTO": "recalibrate" },
+  "ELSE": { "PRINT": "first" },
+  "ELSE": { "PRINT": "second" },
+  "WHILE drifting DO": true,
+  "IF heat_shield active": {}
+}`;
+
+const alignedSource = `{
+  // Alignment facts arrive at run time
+  "IF aiC + buffer = bmQs THEN": {
+    "LET heat_shield": "active",
+    "GOTO": "execute_research_plan"
+  }
+}`;
+
+function codesOf(result) {
+  return result.diagnostics.map(d => d.code);
+}
+
+const tests = [
+  ["Strict mode rejects broken syntax", () => {
+    const result = parseNJSON(fs.readFileSync(brokenSyntaxFile, 'utf8'));
+    const error = result.diagnostics[0];
+    if (result.ok) return "strict parse should fail";
+    if (error.line !== 4 || error.column !== 15) return `expected 4:15, got ${error.line}:${error.column}`;
+  }],
+  ["Lenient mode loads broken syntax with warnings", () => {
+    const document = loadNJSONFile(brokenSyntaxFile, { mode: "lenient", quiet: true });
+    const result = runNJSON(document, { pattern_detected: true });
+    if (result.variables.processing !== "eval(mathematical_connection)") return "unquoted value not kept";
+    if (result.output[0]?.value !== "Recalibrated") return "GOTO recalibrate did not run";
+  }],
+  ["Unbalanced blocks and unknown keywords", () => {
+    const result = parseNJSON(unbalancedSource);
+    result.diagnostics.forEach(d => console.log(`  ${formatDiagnostic(d)}`));
+    const codes = codesOf(result);
+    for (const code of ["duplicate_key", "unknown_keyword", "unbalanced_if", "undefined_label", "undefined_variable"]) {
+      if (!codes.includes(code)) return `missing ${code}`;
+    }
+  }],
+  ["Undefined variable column points inside the key", () => {
+    const bmQs = parseNJSON(unbalancedSource).diagnostics.find(d => d.message.includes('"bmQs"'));
+    if (bmQs.line !== 2 || bmQs.column !== 22) return `expected 2:22, got ${bmQs.line}:${bmQs.column}`;
+  }],
+  ["Globals and external labels are accepted", () => {
+    const result = parseNJSON(alignedSource, {
+      globals: ["aiC", "buffer", "bmQs"],
+      labels: ["execute_research_plan"]
+    });
+    if (!result.ok || result.diagnostics.length > 0) return codesOf(result).join(", ");
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL NJSON PARSER TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -55,32 +55,31 @@ const brokenSyntaxTest = {
 };
 
 // Execution Functions
-function runNJSONTest(testObject, testName) {
+const { runNJSON } = require('./wade-implementation/njson-interpreter.js');
+
+function runNJSONTest(testObject, testName, scope, expect) {
   console.log(`\n--- ${testName} ---`);
   
   try {
-    // Simulate NJSON processing
-    for (const [condition, action] of Object.entries(testObject)) {
-      if (condition.includes("IF") && condition.includes("THEN")) {
-        console.log(`✓ Condition: ${condition}`);
-        
-        if (typeof action === 'object') {
-          for (const [cmd, value] of Object.entries(action)) {
-            if (cmd.startsWith("LET")) {
-              console.log(`  ✓ ${cmd}: ${value}`);
-            } else if (cmd.startsWith("PRINT")) {
-              console.log(`  ✓ Output: ${value}`);
-            } else if (cmd.startsWith("GOTO")) {
-              console.log(`  ✓ Jump to: ${value}`);
-            }
-          }
-        }
-      } else if (condition === "ELSE") {
-        console.log(`✓ Fallback: ${action}`);
-      } else {
-        console.log(`✓ Property: ${condition} = ${action}`);
+    const result = runNJSON(testObject, scope);
+    
+    for (const step of result.trace) {
+      if (step.type === "condition") {
+        console.log(`✓ Condition: ${step.condition} → ${step.result}`);
+      } else if (step.type === "else") {
+        console.log(`✓ Fallback: ELSE`);
+      } else if (step.type === "let" || step.type === "property") {
+        console.log(`  ✓ ${step.name} = ${step.value}`);
+      } else if (step.type === "print") {
+        console.log(`  ✓ Output: ${step.value}`);
+      } else if (step.type === "goto") {
+        console.log(`  ✓ Jump to: ${step.target}`);
       }
     }
+    
+    const failure = expect(result);
+    if (failure) throw new Error(failure);
+    
     console.log(`✓ ${testName} PASSED`);
     return true;
   } catch (error) {
@@ -91,16 +90,27 @@ function runNJSONTest(testObject, testName) {
 
 // Run All Tests
 const tests = [
-  [njsonCore, "NJSON Core Engine"],
-  [cognitiveAlignment, "Cognitive Alignment Formula"],
-  [quantumSpeedTest, "Wade's Quantum Speed Processing"],
-  [brokenSyntaxTest, "Broken JSON Syntax Validation"]
+  [njsonCore, "NJSON Core Engine",
+    { NJSON_engine_loaded: true },
+    (r) => r.variables.cognitive_mode !== "Wade_qs3" && "cognitive_mode not set"],
+  [cognitiveAlignment, "Cognitive Alignment Formula",
+    { aiC: 2.89, buffer: 0.1, bmQs: 2.99 },
+    (r) => r.output[0]?.value !== "Cognitive alignment verified" && "alignment branch not taken"],
+  [cognitiveAlignment, "Cognitive Alignment Breach",
+    { aiC: 2.89, buffer: 0.1, bmQs: 3.5 },
+    (r) => r.output[0]?.value !== "Alignment failure - FUDP risk" && "ELSE branch not taken"],
+  [quantumSpeedTest, "Wade's Quantum Speed Processing",
+    { musical: true, mathematical: true },
+    (r) => r.unresolvedTarget !== "execute_quantum_connection" && "GOTO target not handed off"],
+  [brokenSyntaxTest, "Broken JSON Syntax Validation",
+    { pattern_detected: true },
+    (r) => r.variables.quantum_jump !== true && "quantum_jump not set"]
 ];
 
 let allTestsPassed = true;
 
-tests.forEach(([testObj, testName]) => {
-  const result = runNJSONTest(testObj, testName);
+tests.forEach(([testObj, testName, scope, expect]) => {
+  const result = runNJSONTest(testObj, testName, scope, expect);
   if (!result) allTestsPassed = false;
 });
 
@@ -0,0 +1,64 @@
+// test-njson-sandbox.js - Wade's bounded NJSON execution validation
+// Runaway GOTO loops, deep nesting and slow programs must halt, not hang
+
+const { runSandboxed, runNJSONSource } = require('./wade-implementation/njson-sandbox.js');
+const NJSON = require('./wade-implementation/njson-v8-engine.js');
+
+console.log("\n=== Wade's NJSON Sandbox Test ===");
+
+const foreverLoop = {
+  "LET laps": 0,
+  "loop": { "CALCULATE laps": "laps + 1", "GOTO": "loop" },
+  "GOTO": "loop"
+};
+
+function nested(levels) {
+  let document = { "RETURN": "'bottom'" };
+  for (let i = 0; i < levels; i++) document = { "IF TRUE THEN": document };
+  return document;
+}
+
+const tests = [
+  ["GOTO loop halts at the step limit", () => {
+    const result = runSandboxed(foreverLoop, {}, { limits: { maxSteps: 500 } });
+    if (result.status !== "halted" || result.halted.reason !== "step_limit") return `got ${result.status}`;
+    if (result.variables.laps < 1) return "partial state not returned";
+  }],
+  ["Wall-clock timeout halts", () => {
+    const result = runSandboxed(foreverLoop, {}, { limits: { maxSteps: Infinity, timeoutMs: 20 } });
+    if (result.halted?.reason !== "timeout") return `got ${result.status}`;
+  }],
+  ["Nesting deeper than maxDepth halts", () => {
+    const result = runSandboxed(nested(20), {}, { limits: { maxDepth: 10 } });
+    if (result.halted?.reason !== "depth_limit") return `got ${result.status}`;
+    if (runSandboxed(nested(5)).returnValue !== "bottom") return "shallow program should complete";
+  }],
+  ["Syntax and runtime errors are results, not exceptions", () => {
+    const syntax = runNJSONSource('{ "IF x THEN" 1 }');
+    if (syntax.status !== "error" || syntax.diagnostics.length === 0) return "syntax error not reported";
+    const runtime = runSandboxed({ "CALCULATE x": "1 +" });
+    if (runtime.status !== "error") return "runtime error not reported";
+  }],
+  ["NJSON.infinite.recurse is bounded", () => {
+    if (NJSON.infinite.recurse(3) !== 3) return "recurse(3) should be 3";
+    if (NJSON.infinite.recurse(1e9).status !== "halted") return "recurse(1e9) should halt";
+  }]
+];
+
+let allTestsPassed = true;
+
+tests.forEach(([testName, test]) => {
+  console.log(`\n--- ${testName} ---`);
+  try {
+    const failure = test();
+    if (failure) throw new Error(failure);
+    console.log(`✓ ${testName} PASSED`);
+  } catch (error) {
+    console.log(`✗ ${testName} FAILED: ${error.message}`);
+    allTestsPassed = false;
+  }
+});
+
+console.log("\n=== FINAL RESULTS ===");
+console.log(allTestsPassed ? "✓ ALL NJSON SANDBOX TESTS PASSED" : "✗ SOME TESTS FAILED");
+if (!allTestsPassed) process.exitCode = 1;
@@ -0,0 +1,387 @@
+// njson-compiler.js - Compiles NJSON rule documents into JavaScript predicate modules
+// Rules authored once in NJSON become the NJSON.musical / NJSON.mathematical style API
+//
+// Rule document shape:
+//   { "musical": { "tempo(input)": { "IF input.bpm > 120 THEN": { "RETURN": true }, "ELSE": { "RETURN": false } } } }
+// Plain object keys are namespaces, "name(params)" keys are functions, scalars are exported as-is.
+
+const fs = require('fs');
+const path = require('path');
+const { parseExpression, DEFAULT_TOLERANCE } = require('./njson-expression.js');
+const { LOCATIONS, toStatements, collectBlocks } = require('./njson-interpreter.js');
+const { parseNJSON, formatDiagnostic } = require('./njson-parser.js');
+
+const FUNCTION_KEY = /^([A-Za-z_$][\w$]*)\s*\(([^)]*)\)$/;
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+class NJSONCompiler {
+  constructor(options = {}) {
+    this.options = {
+      sourceFile: "rules.njson",  // Name recorded in the source map
+      exportName: "NJSON",
+      tolerance: DEFAULT_TOLERANCE,
+      ...options
+    };
+    this.lines = [];
+    this.origins = [];  // Per generated line: { loc, key } or null
+    this.errors = [];
+  }
+
+  // Compile a rule document into { code, map, keyMap }
+  compile(document) {
+    const { exportName, sourceFile, tolerance } = this.options;
+
+    this.emit(0, `// Generated by njson-compiler.js from ${sourceFile} - edit the NJSON source, not this file`);
+    this.emit(0, `'use strict';`);
+    this.emit(0, "");
+    this.emit(0, `const TOLERANCE = ${tolerance};`);
+    this.emit(0, `const __eq = (a, b) => (typeof a === 'number' && typeof b === 'number' ? Math.abs(a - b) <= TOLERANCE : a === b);`);
+    this.emit(0, `const __lte = (a, b) => a < b || __eq(a, b);`);
+    this.emit(0, `const __gte = (a, b) => a > b || __eq(a, b);`);
+    this.emit(0, "");
+    this.emit(0, `const ${exportName} = {`);
+    this.compileNamespace(document, 1, []);
+    this.emit(0, `};`);
+    this.emit(0, "");
+    this.emit(0, `module.exports = ${exportName};`);
+
+    if (this.errors.length > 0) {
+      throw new Error(`NJSON compile failed:\n${this.errors.join("\n")}`);
+    }
+
+    return {
+      code: this.lines.join("\n") + "\n",
+      map: this.buildSourceMap(),
+      keyMap: this.buildKeyMap()
+    };
+  }
+
+  // === Output helpers ===
+
+  emit(indent, text, origin = null) {
+    this.lines.push(text ? "  ".repeat(indent) + text : "");
+    this.origins.push(origin);
+  }
+
+  error(message, origin) {
+    const where = origin?.loc ? `${this.options.sourceFile}:${origin.loc.line}:${origin.loc.column}` : this.options.sourceFile;
+    this.errors.push(`${where} ${message}${origin?.key ? ` (in ${origin.key})` : ""}`);
+  }
+
+  propertyName(key) {
+    return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+  }
+
+  // === Document structure ===
+
+  compileNamespace(object, indent, keyPath) {
+    const locations = object[LOCATIONS] || {};
+
+    for (const [key, value] of Object.entries(object)) {
+      const origin = { loc: locations[key] || null, key: [...keyPath, key].join(" > ") };
+      const signature = FUNCTION_KEY.exec(key.trim());
+
+      if (signature && value !== null && typeof value === "object") {
+        const params = signature[2].split(",").map(p => p.trim()).filter(Boolean);
+        this.compileFunction(signature[1], params, value, indent, [...keyPath, key], origin);
+      } else if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        this.emit(indent, `${this.propertyName(key)}: {`, origin);
+        this.compileNamespace(value, indent + 1, [...keyPath, key]);
+        this.emit(indent, `},`);
+      } else {
+        this.emit(indent, `${this.propertyName(key)}: ${JSON.stringify(value)},`, origin);
+      }
+    }
+  }
+
+  compileFunction(name, params, body, indent, keyPath, origin) {
+    params.forEach(param => {
+      if (!IDENTIFIER.test(param)) this.error(`Invalid parameter "${param}"`, origin);
+    });
+
+    const statements = toStatements(body, issue => {
+      this.error(issue.message, { loc: issue.loc, key: origin.key });
+    });
+    const blocks = collectBlocks(statements);
+    const locals = [...collectAssignments(statements)].filter(local => !params.includes(local));
+    const context = {
+      known: new Set([...params, ...locals]),
+      blocks,
+      keyPath
+    };
+
+    this.emit(indent, `${name}: function ${name}(${params.join(", ")}) {`, origin);
+
+    if (locals.length > 0) {
+      locals.forEach(local => {
+        if (!IDENTIFIER.test(local)) this.error(`Invalid variable name "${local}"`, origin);
+      });
+      this.emit(indent + 1, `let ${locals.join(", ")};`);
+    }
+
+    // Named blocks become local functions; GOTO is a tail call into them
+    for (const [label, block] of blocks) {
+      const blockOrigin = this.originOf(block, keyPath, label);
+      this.emit(indent + 1, `function ${blockFunctionName(label)}() {`, blockOrigin);
+      this.compileBody(block.body, indent + 2, context);
+      this.emit(indent + 1, `}`);
+    }
+
+    this.compileBody(statements, indent + 1, context);
+    this.emit(indent, `},`);
+  }
+
+  // === Statements ===
+
+  originOf(statement, keyPath, key) {
+    return { loc: statement.loc, key: [...keyPath, key].join(" > ") };
+  }
+
+  compileBody(statements, indent, context) {
+    for (const statement of statements) {
+      this.compileStatement(statement, indent, context);
+    }
+  }
+
+  compileStatement(statement, indent, context) {
+    const { keyPath } = context;
+
+    switch (statement.type) {
+      case "let":
+      case "property": {
+        const origin = this.originOf(statement, keyPath, `LET ${statement.name}`);
+        this.emit(indent, `${statement.name} = ${JSON.stringify(statement.value)};`, origin);
+        return;
+      }
+
+      case "calculate": {
+        const origin = this.originOf(statement, keyPath, `CALCULATE ${statement.name}`);
+        this.emit(indent, `${statement.name} = ${this.compileSource(statement.source, context, origin)};`, origin);
+        return;
+      }
+
+      case "print": {
+        const origin = this.originOf(statement, keyPath, `PRINT${statement.label ? ` ${statement.label}` : ""}`);
+        const args = statement.label
+          ? `${JSON.stringify(`${statement.label}:`)}, ${JSON.stringify(statement.value)}`
+          : JSON.stringify(statement.value);
+        this.emit(indent, `console.log(${args});`, origin);
+        return;
+      }
+
+      case "goto": {
+        const origin = this.originOf(statement, keyPath, `GOTO ${statement.target}`);
+        if (!context.blocks.has(statement.target)) {
+          this.error(`GOTO target "${statement.target}" is not defined`, origin);
+        }
+        this.emit(indent, `return ${blockFunctionName(statement.target)}();`, origin);
+        return;
+      }
+
+      case "return": {
+        const origin = this.originOf(statement, keyPath, "RETURN");
+        const value = statement.source === null
+          ? JSON.stringify(statement.value)
+          : this.compileSource(statement.source, context, origin);
+        this.emit(indent, `return ${value};`, origin);
+        return;
+      }
+
+      case "block":
+        // Hoisted by compileFunction
+        return;
+
+      case "if":
+        statement.branches.forEach((branch, index) => {
+          const origin = this.originOf(branch, keyPath, branch.key);
+          const condition = branch.ast ? this.compileExpression(branch.ast, context, origin) : "false";
+          this.emit(indent, `${index === 0 ? "if" : "} else if"} (${condition}) {`, origin);
+          this.compileBody(branch.body, indent + 1, context);
+        });
+        if (statement.elseBody) {
+          this.emit(indent, `} else {`, { loc: statement.elseLoc, key: [...keyPath, "ELSE"].join(" > ") });
+          this.compileBody(statement.elseBody, indent + 1, context);
+        }
+        this.emit(indent, `}`);
+        return;
+    }
+
+    this.error(`Unsupported statement "${statement.type}"`, { loc: statement.loc, key: keyPath.join(" > ") });
+  }
+
+  // === Expressions ===
+
+  compileSource(source, context, origin) {
+    try {
+      return this.compileExpression(parseExpression(source), context, origin);
+    } catch (error) {
+      this.error(`Invalid expression "${source}": ${error.message}`, origin);
+      return "undefined";
+    }
+  }
+
+  compileExpression(ast, context, origin) {
+    const visit = (node) => {
+      switch (node.type) {
+        case "literal":
+          return JSON.stringify(node.value);
+
+        case "identifier": {
+          const root = node.name.split(".")[0];
+          if (node.words.length > 1 || !context.known.has(root)) {
+            this.error(`Unknown identifier "${node.words.join(" ")}"`, origin);
+          }
+          return node.name;
+        }
+
+        case "unary":
+          return node.operator === "NOT" ? `!(${visit(node.argument)})` : `-(${visit(node.argument)})`;
+
+        case "logical":
+          return `(!!(${visit(node.left)}) ${node.operator === "AND" ? "&&" : "||"} !!(${visit(node.right)}))`;
+
+        case "binary": {
+          const left = visit(node.left);
+          const right = visit(node.right);
+          switch (node.operator) {
+            case "=":
+            case "==": return `__eq(${left}, ${right})`;
+            case "<>":
+            case "!=": return `!__eq(${left}, ${right})`;
+            case "<=": return `__lte(${left}, ${right})`;
+            case ">=": return `__gte(${left}, ${right})`;
+            case "^": return `Math.pow(${left}, ${right})`;
+            default: return `(${left} ${node.operator} ${right})`;
+          }
+        }
+      }
+      throw new Error(`Unknown expression node: ${node.type}`);
+    };
+
+    return visit(ast);
+  }
+
+  // === Source maps ===
+
+  // Source Map v3 with one segment per mapped line, pointing at the NJSON key
+  buildSourceMap() {
+    let previousLine = 0;
+    let previousColumn = 0;
+
+    const mappings = this.origins.map(origin => {
+      if (!origin?.loc) return "";
+      const line = origin.loc.line - 1;
+      const column = origin.loc.column - 1;
+      const segment = encodeVLQ(0) + encodeVLQ(0) + encodeVLQ(line - previousLine) + encodeVLQ(column - previousColumn);
+      previousLine = line;
+      previousColumn = column;
+      return segment;
+    }).join(";");
+
+    return {
+      version: 3,
+      file: this.options.outputFile || path.basename(this.options.sourceFile).replace(/\.njson$/, ".js"),
+      sources: [this.options.sourceFile],
+      sourcesContent: this.options.sourceContent ? [this.options.sourceContent] : undefined,
+      names: [],
+      mappings
+    };
+  }
+
+  // Readable companion to the source map: generated line -> NJSON key path
+  buildKeyMap() {
+    return this.origins
+      .map((origin, index) => origin && {
+        generatedLine: index + 1,
+        key: origin.key,
+        line: origin.loc?.line ?? null,
+        column: origin.loc?.column ?? null
+      })
+      .filter(Boolean);
+  }
+}
+
+// Every name a function body assigns (LET, CALCULATE or property), including inside blocks
+function collectAssignments(statements, names = new Set()) {
+  for (const statement of statements) {
+    if (statement.type === "let" || statement.type === "property" || statement.type === "calculate") {
+      names.add(statement.name);
+    } else if (statement.type === "block") {
+      collectAssignments(statement.body, names);
+    } else if (statement.type === "if") {
+      statement.branches.forEach(branch => collectAssignments(branch.body, names));
+      if (statement.elseBody) collectAssignments(statement.elseBody, names);
+    }
+  }
+  return names;
+}
+
+function blockFunctionName(label) {
+  return `__goto_${String(label).replace(/\W/g, "_")}`;
+}
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  let encoded = "";
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+// Compile an NJSON object (literal or njson-parser.js output)
+function compileNJSON(document, options = {}) {
+  return new NJSONCompiler(options).compile(document);
+}
+
+// Compile NJSON source text; syntax errors are reported with line and column
+function compileNJSONSource(source, options = {}) {
+  const sourceFile = options.sourceFile || "rules.njson";
+  const parsed = parseNJSON(source, { mode: options.mode || "strict", validate: false });
+
+  if (!parsed.ok) {
+    const errors = parsed.diagnostics
+      .filter(d => d.severity === "error")
+      .map(d => formatDiagnostic(d, sourceFile));
+    throw new Error(`Invalid NJSON document:\n${errors.join("\n")}`);
+  }
+
+  return compileNJSON(parsed.value, { ...options, sourceFile, sourceContent: source });
+}
+
+// Compile a .njson file to a .js module with a .js.map next to it
+function compileNJSONFile(inputPath, outputPath = inputPath.replace(/\.njson$/, ".js"), options = {}) {
+  const outputFile = path.basename(outputPath);
+  const result = compileNJSONSource(fs.readFileSync(inputPath, 'utf8'), {
+    ...options,
+    sourceFile: path.relative(path.dirname(outputPath), inputPath),
+    outputFile
+  });
+
+  fs.writeFileSync(outputPath, `${result.code}//# sourceMappingURL=${outputFile}.map\n`);
+  fs.writeFileSync(`${outputPath}.map`, JSON.stringify(result.map));
+  return result;
+}
+
+// Compile a .njson file and load it in-process, like require() for NJSON rules
+function requireNJSON(filePath, options = {}) {
+  const { code } = compileNJSONSource(fs.readFileSync(filePath, 'utf8'), {
+    ...options,
+    sourceFile: path.basename(filePath)
+  });
+  const module = { exports: {} };
+  new Function("module", "exports", `${code}//# sourceURL=${filePath}.js`)(module, module.exports);
+  return module.exports;
+}
+
+module.exports = {
+  NJSONCompiler,
+  compileNJSON,
+  compileNJSONSource,
+  compileNJSONFile,
+  requireNJSON
+};
@@ -0,0 +1,295 @@
+// njson-expression.js - Condition and CALCULATE expressions for Wade's NJSON
+// BASIC-style operators: = <> < > <= >= + - * / % ^ AND OR NOT
+// Bare words are facts: "NJSON engine loaded" reads scope.NJSON_engine_loaded
+
+// Alignment tolerance shared with AMF.formula.validation
+const DEFAULT_TOLERANCE = 0.0001;
+
+const KEYWORD_OPERATORS = ["AND", "OR", "NOT"];
+const LITERAL_WORDS = { TRUE: true, FALSE: false, true: true, false: false };
+
+// Split expression source into tokens with their character offsets
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers
+    const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: "number", value: parseFloat(number[0]), offset: i });
+      i += number[0].length;
+      continue;
+    }
+
+    // Quoted strings
+    if (ch === '"' || ch === "'") {
+      const end = source.indexOf(ch, i + 1);
+      if (end === -1) {
+        throw expressionError(`Unterminated string starting at column ${i + 1}`, i);
+      }
+      tokens.push({ type: "string", value: source.slice(i + 1, end), offset: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Words: identifiers, keywords and boolean literals
+    const word = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(source.slice(i));
+    if (word) {
+      const text = word[0];
+      if (KEYWORD_OPERATORS.includes(text)) {
+        tokens.push({ type: "operator", value: text, offset: i });
+      } else if (text in LITERAL_WORDS) {
+        tokens.push({ type: "boolean", value: LITERAL_WORDS[text], offset: i });
+      } else {
+        tokens.push({ type: "word", value: text, offset: i });
+      }
+      i += text.length;
+      continue;
+    }
+
+    // Symbolic operators, longest first
+    const symbol = /^(<=|>=|<>|!=|==|[=<>+\-*\/%^()])/.exec(source.slice(i));
+    if (symbol) {
+      const type = symbol[0] === "(" || symbol[0] === ")" ? "paren" : "operator";
+      tokens.push({ type, value: symbol[0], offset: i });
+      i += symbol[0].length;
+      continue;
+    }
+
+    throw expressionError(`Unexpected character "${ch}" at column ${i + 1}`, i);
+  }
+
+  return tokens;
+}
+
+// Parse expression source into an AST
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.type === "operator" && values.includes(peek().value);
+  const next = () => tokens[position++];
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isOperator("OR")) {
+      next();
+      left = { type: "logical", operator: "OR", left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isOperator("AND")) {
+      next();
+      left = { type: "logical", operator: "AND", left, right: parseNot() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOperator("NOT")) {
+      next();
+      return { type: "unary", operator: "NOT", argument: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (isOperator("=", "==", "<>", "!=", "<", ">", "<=", ">=")) {
+      const operator = next().value;
+      return { type: "binary", operator, left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (isOperator("+", "-")) {
+      const operator = next().value;
+      left = { type: "binary", operator, left, right: parseMultiplicative() };
+    }
+    return left;
+  };
+
+  const parseMultiplicative = () => {
+    let left = parsePower();
+    while (isOperator("*", "/", "%")) {
+      const operator = next().value;
+      left = { type: "binary", operator, left, right: parsePower() };
+    }
+    return left;
+  };
+
+  // Exponent is right-associative: 2^3^2 = 2^(3^2)
+  const parsePower = () => {
+    const base = parseUnary();
+    if (isOperator("^")) {
+      next();
+      return { type: "binary", operator: "^", left: base, right: parsePower() };
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (isOperator("-")) {
+      next();
+      return { type: "unary", operator: "-", argument: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (!token) {
+      throw expressionError(`Unexpected end of expression "${source}"`, source.length);
+    }
+
+    if (token.type === "number" || token.type === "string" || token.type === "boolean") {
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "paren" && token.value === "(") {
+      const inner = parseOr();
+      const closing = next();
+      if (!closing || closing.value !== ")") {
+        throw expressionError(`Missing ")" for "(" at column ${token.offset + 1}`, token.offset);
+      }
+      return inner;
+    }
+
+    if (token.type === "word") {
+      // Consecutive bare words form a single fact name
+      const words = [token.value];
+      while (peek()?.type === "word") {
+        words.push(next().value);
+      }
+      return { type: "identifier", name: words.join("_"), words, offset: token.offset };
+    }
+
+    throw expressionError(`Unexpected "${token.value}" at column ${token.offset + 1}`, token.offset);
+  };
+
+  const ast = parseOr();
+
+  if (position < tokens.length) {
+    const extra = tokens[position];
+    throw expressionError(`Unexpected "${extra.value}" at column ${extra.offset + 1}`, extra.offset);
+  }
+
+  return ast;
+}
+
+// Resolve a fact or dotted path (input.bpm) against the scope
+function lookup(scope, name) {
+  if (Object.prototype.hasOwnProperty.call(scope, name)) return scope[name];
+
+  if (name.includes(".")) {
+    return name.split(".").reduce(
+      (value, key) => (value === undefined || value === null ? undefined : value[key]),
+      scope
+    );
+  }
+
+  return undefined;
+}
+
+// Evaluate an AST against a variable scope
+function evaluate(ast, scope = {}, options = {}) {
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+
+  const equals = (a, b) => {
+    if (typeof a === "number" && typeof b === "number") {
+      return Math.abs(a - b) <= tolerance;
+    }
+    return a === b;
+  };
+
+  const visit = (node) => {
+    switch (node.type) {
+      case "literal":
+        return node.value;
+
+      case "identifier":
+        return lookup(scope, node.name);
+
+      case "unary":
+        return node.operator === "NOT" ? !visit(node.argument) : -visit(node.argument);
+
+      case "logical":
+        return node.operator === "AND"
+          ? Boolean(visit(node.left)) && Boolean(visit(node.right))
+          : Boolean(visit(node.left)) || Boolean(visit(node.right));
+
+      case "binary": {
+        const left = visit(node.left);
+        const right = visit(node.right);
+
+        switch (node.operator) {
+          case "=":
+          case "==": return equals(left, right);
+          case "<>":
+          case "!=": return !equals(left, right);
+          case "<": return left < right;
+          case ">": return left > right;
+          case "<=": return left < right || equals(left, right);
+          case ">=": return left > right || equals(left, right);
+          case "+": return left + right;
+          case "-": return left - right;
+          case "*": return left * right;
+          case "/": return left / right;
+          case "%": return left % right;
+          case "^": return Math.pow(left, right);
+        }
+      }
+    }
+
+    throw new Error(`Unknown expression node: ${node.type}`);
+  };
+
+  return visit(ast);
+}
+
+// List every fact and variable name an expression reads
+function collectIdentifiers(ast, names = new Set()) {
+  if (!ast) return names;
+
+  if (ast.type === "identifier") {
+    names.add(ast.name);
+  } else if (ast.type === "unary") {
+    collectIdentifiers(ast.argument, names);
+  } else if (ast.type === "binary" || ast.type === "logical") {
+    collectIdentifiers(ast.left, names);
+    collectIdentifiers(ast.right, names);
+  }
+
+  return names;
+}
+
+// Errors carry the offending offset so callers can report columns
+function expressionError(message, offset) {
+  const error = new Error(message);
+  error.offset = offset;
+  return error;
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  tokenize,
+  parseExpression,
+  evaluate,
+  collectIdentifiers,
+  lookup
+};
@@ -0,0 +1,288 @@
+// njson-interpreter.js - Wade's NJSON interpreter
+// Executes IF/THEN/ELSE, LET, CALCULATE, PRINT, GOTO and RETURN keys instead of echoing them
+
+const { parseExpression, evaluate, DEFAULT_TOLERANCE } = require('./njson-expression.js');
+
+// Key patterns for every NJSON keyword
+const KEY_PATTERNS = {
+  if: /^IF\s+(.+?)\s+THEN$/,
+  elseIf: /^ELSE\s+IF\s+(.+?)\s+THEN$/,
+  else: /^ELSE$/,
+  let: /^LET\s+(\S+)$/,
+  calculate: /^CALCULATE\s+(\S+)$/,
+  print: /^PRINT(?:\s+(\S+))?$/,
+  goto: /^GOTO(?:\s+(\S+))?$/,
+  return: /^RETURN$/
+};
+
+// Classify a single key/value entry
+function classifyEntry(key, value) {
+  const trimmed = key.trim();
+  let match;
+
+  if ((match = KEY_PATTERNS.elseIf.exec(trimmed))) return { kind: "elseIf", condition: match[1] };
+  if ((match = KEY_PATTERNS.if.exec(trimmed))) return { kind: "if", condition: match[1] };
+  if (KEY_PATTERNS.else.test(trimmed)) return { kind: "else" };
+  if ((match = KEY_PATTERNS.let.exec(trimmed))) return { kind: "let", name: match[1] };
+  if ((match = KEY_PATTERNS.calculate.exec(trimmed))) return { kind: "calculate", name: match[1] };
+  if ((match = KEY_PATTERNS.print.exec(trimmed))) return { kind: "print", label: match[1] || null };
+  if ((match = KEY_PATTERNS.goto.exec(trimmed))) return { kind: "goto", target: match[1] || value };
+  if (KEY_PATTERNS.return.test(trimmed)) return { kind: "return" };
+
+  // Plain keys: object values are named GOTO blocks, scalars are properties
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    return { kind: "block", name: trimmed };
+  }
+  return { kind: "property", name: trimmed };
+}
+
+// Source positions attached by njson-parser.js; symbol keys stay out of Object.entries and JSON
+const LOCATIONS = Symbol.for("njson.locations");
+
+// Convert an NJSON object into entries ({ key, value, loc })
+function toEntries(document) {
+  const locations = document[LOCATIONS] || {};
+  return Object.entries(document).map(([key, value]) => ({ key, value, loc: locations[key] || null }));
+}
+
+// Build executable statements from entries, grouping IF / ELSE IF / ELSE chains
+function toStatements(document, onIssue = defaultIssueHandler) {
+  const statements = [];
+  let openChain = null;
+
+  for (const entry of toEntries(document)) {
+    const { key, value, loc } = entry;
+    const info = classifyEntry(key, value);
+
+    if (info.kind === "elseIf" || info.kind === "else") {
+      if (!openChain) {
+        onIssue({ code: "unbalanced_else", message: `"${key}" has no matching IF`, loc });
+        continue;
+      }
+      if (info.kind === "elseIf") {
+        openChain.branches.push(buildBranch(key, info.condition, value, loc, onIssue));
+      } else {
+        openChain.elseBody = buildBody(value, loc, onIssue);
+        openChain.elseLoc = loc;
+        openChain = null;
+      }
+      continue;
+    }
+
+    openChain = null;
+
+    switch (info.kind) {
+      case "if":
+        openChain = {
+          type: "if",
+          branches: [buildBranch(key, info.condition, value, loc, onIssue)],
+          elseBody: null,
+          elseLoc: null,
+          loc
+        };
+        statements.push(openChain);
+        break;
+      case "let":
+        statements.push({ type: "let", name: info.name, value, loc });
+        break;
+      case "calculate":
+        statements.push({ type: "calculate", name: info.name, source: String(value), loc });
+        break;
+      case "print":
+        statements.push({ type: "print", label: info.label, value, loc });
+        break;
+      case "goto":
+        statements.push({ type: "goto", target: info.target, loc });
+        break;
+      case "return":
+        // RETURN takes an expression like CALCULATE; non-strings are literal values
+        statements.push({ type: "return", source: typeof value === "string" ? value : null, value, loc });
+        break;
+      case "block":
+        statements.push({ type: "block", name: info.name, body: toStatements(value, onIssue), loc });
+        break;
+      default:
+        statements.push({ type: "property", name: info.name, value, loc });
+    }
+  }
+
+  return statements;
+}
+
+function buildBranch(key, condition, value, loc, onIssue) {
+  let ast = null;
+  try {
+    ast = parseExpression(condition);
+  } catch (error) {
+    onIssue({ code: "invalid_condition", message: `Invalid condition "${condition}": ${error.message}`, loc, key, condition, offset: error.offset });
+  }
+  return { key, condition, ast, body: buildBody(value, loc, onIssue), loc };
+}
+
+// IF / ELSE bodies may be nested NJSON objects or a single PRINT-style value
+function buildBody(value, loc, onIssue) {
+  if (value !== null && typeof value === "object") {
+    return toStatements(value, onIssue);
+  }
+  return [{ type: "print", label: null, value, loc }];
+}
+
+function defaultIssueHandler(issue) {
+  throw new Error(issue.message);
+}
+
+// Collect named blocks anywhere in the program so GOTO targets are global labels
+function collectBlocks(statements, blocks = new Map()) {
+  for (const statement of statements) {
+    if (statement.type === "block") {
+      if (!blocks.has(statement.name)) blocks.set(statement.name, statement);
+      collectBlocks(statement.body, blocks);
+    } else if (statement.type === "if") {
+      statement.branches.forEach(branch => collectBlocks(branch.body, blocks));
+      if (statement.elseBody) collectBlocks(statement.elseBody, blocks);
+    }
+  }
+  return blocks;
+}
+
+class NJSONInterpreter {
+  constructor(options = {}) {
+    this.options = {
+      tolerance: DEFAULT_TOLERANCE,
+      onPrint: null,  // Called with { label, value } for every PRINT
+      ...options
+    };
+  }
+
+  // Run an NJSON document (object literal or njson-parser.js output) against an initial scope
+  run(document, scope = {}) {
+    const program = toStatements(document);
+    const blocks = collectBlocks(program);
+    const state = {
+      scope: { ...scope },
+      output: [],
+      trace: [],
+      jumps: []
+    };
+
+    let outcome = this.executeBody(program, state);
+    let status = "completed";
+    let unresolvedTarget = null;
+
+    // GOTO transfers control; the program ends when the target block ends
+    while (outcome.jump !== undefined) {
+      const target = blocks.get(outcome.jump);
+      state.jumps.push({ target: outcome.jump, resolved: Boolean(target) });
+
+      if (!target) {
+        status = "unresolved_goto";
+        unresolvedTarget = outcome.jump;
+        break;
+      }
+
+      outcome = this.executeBody(target.body, state);
+    }
+
+    return {
+      status,
+      unresolvedTarget,
+      returnValue: outcome.returned ? outcome.value : undefined,
+      variables: state.scope,
+      output: state.output,
+      trace: state.trace,
+      jumps: state.jumps
+    };
+  }
+
+  // Execute statements in order; returns { jump } when a GOTO fires, { returned } on RETURN
+  executeBody(statements, state) {
+    for (const statement of statements) {
+      const outcome = this.executeStatement(statement, state);
+      if (outcome.jump !== undefined || outcome.returned) return outcome;
+    }
+    return {};
+  }
+
+  executeStatement(statement, state) {
+    switch (statement.type) {
+      case "let":
+      case "property":
+        state.scope[statement.name] = statement.value;
+        state.trace.push({ type: statement.type, name: statement.name, value: statement.value });
+        return {};
+
+      case "calculate": {
+        const value = this.evaluateSource(statement.source, state.scope);
+        state.scope[statement.name] = value;
+        state.trace.push({ type: "calculate", name: statement.name, expression: statement.source, value });
+        return {};
+      }
+
+      case "print": {
+        const line = { label: statement.label, value: statement.value };
+        state.output.push(line);
+        state.trace.push({ type: "print", ...line });
+        if (this.options.onPrint) this.options.onPrint(line);
+        return {};
+      }
+
+      case "goto":
+        state.trace.push({ type: "goto", target: statement.target });
+        return { jump: statement.target };
+
+      case "return": {
+        const value = statement.source === null
+          ? statement.value
+          : this.evaluateSource(statement.source, state.scope, "RETURN");
+        state.trace.push({ type: "return", value });
+        return { returned: true, value };
+      }
+
+      case "block":
+        // Named blocks only run when a GOTO reaches them
+        return {};
+
+      case "if":
+        return this.executeConditional(statement, state);
+    }
+
+    throw new Error(`Unknown NJSON statement: ${statement.type}`);
+  }
+
+  executeConditional(statement, state) {
+    for (const branch of statement.branches) {
+      const result = Boolean(evaluate(branch.ast, state.scope, this.options));
+      state.trace.push({ type: "condition", condition: branch.condition, result });
+      if (result) return this.executeBody(branch.body, state);
+    }
+
+    if (statement.elseBody) {
+      state.trace.push({ type: "else" });
+      return this.executeBody(statement.elseBody, state);
+    }
+
+    return {};
+  }
+
+  evaluateSource(source, scope, keyword = "CALCULATE") {
+    try {
+      return evaluate(parseExpression(source), scope, this.options);
+    } catch (error) {
+      throw new Error(`${keyword} failed for "${source}": ${error.message}`);
+    }
+  }
+}
+
+// Convenience runner for one-off documents
+function runNJSON(document, scope = {}, options = {}) {
+  return new NJSONInterpreter(options).run(document, scope);
+}
+
+module.exports = {
+  LOCATIONS,
+  NJSONInterpreter,
+  runNJSON,
+  toStatements,
+  classifyEntry,
+  collectBlocks
+};
@@ -0,0 +1,456 @@
+// njson-parser.js - Reads NJSON source text (.njson files) with line/column diagnostics
+// Strict mode: JS object literal syntax, every problem is an error
+// Lenient mode: loads "broken by design" documents, problems become warnings
+
+const fs = require('fs');
+const { parseExpression } = require('./njson-expression.js');
+const { LOCATIONS, toStatements, collectBlocks } = require('./njson-interpreter.js');
+
+const KEYWORDS = ["IF", "THEN", "ELSE", "LET", "CALCULATE", "PRINT", "GOTO", "RETURN"];
+
+// Thrown internally to stop on an unrecoverable syntax error
+class StopParsing extends Error {}
+
+class NJSONParser {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.options = {
+      mode: "strict",   // "strict" | "lenient"
+      globals: [],      // Facts supplied at run time (not undefined variables)
+      labels: [],       // GOTO targets handled outside the document
+      validate: true,   // false: syntax only, for callers with their own scoping rules
+      ...options
+    };
+    this.lenient = this.options.mode === "lenient";
+    this.position = 0;
+    this.line = 1;
+    this.column = 1;
+    this.diagnostics = [];
+  }
+
+  // Parse the source and validate NJSON semantics
+  parse() {
+    let value = null;
+
+    try {
+      this.skipWhitespace();
+      value = this.parseValue();
+      this.skipWhitespace();
+      if (this.position < this.source.length) {
+        this.problem("trailing_content", `Unexpected "${this.peek()}" after document end`);
+      }
+    } catch (error) {
+      if (!(error instanceof StopParsing)) throw error;
+    }
+
+    if (this.options.validate && value !== null && typeof value === "object" && !Array.isArray(value)) {
+      this.validate(value);
+    }
+
+    return {
+      ok: !this.diagnostics.some(d => d.severity === "error"),
+      value,
+      diagnostics: this.diagnostics
+    };
+  }
+
+  // === Diagnostics ===
+
+  location() {
+    return { line: this.line, column: this.column };
+  }
+
+  report(severity, code, message, loc = this.location()) {
+    this.diagnostics.push({
+      severity,
+      code,
+      message,
+      line: loc?.line ?? null,
+      column: loc?.column ?? null
+    });
+  }
+
+  // Errors in strict mode, warnings in lenient mode
+  problem(code, message, loc) {
+    this.report(this.lenient ? "warning" : "error", code, message, loc);
+  }
+
+  // Unrecoverable: record and stop
+  fail(code, message, loc) {
+    this.report("error", code, message, loc);
+    throw new StopParsing(message);
+  }
+
+  // === Scanner ===
+
+  peek(offset = 0) {
+    return this.source[this.position + offset];
+  }
+
+  advance() {
+    const ch = this.source[this.position++];
+    if (ch === "\n") {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+    return ch;
+  }
+
+  skipWhitespace() {
+    while (this.position < this.source.length) {
+      const ch = this.peek();
+      if (/\s/.test(ch)) {
+        this.advance();
+      } else if (ch === "/" && this.peek(1) === "/") {
+        while (this.position < this.source.length && this.peek() !== "\n") this.advance();
+      } else if (ch === "/" && this.peek(1) === "*") {
+        const start = this.location();
+        this.advance();
+        this.advance();
+        while (this.position < this.source.length && !(this.peek() === "*" && this.peek(1) === "/")) {
+          this.advance();
+        }
+        if (this.position >= this.source.length) this.fail("unterminated_comment", "Unterminated comment", start);
+        this.advance();
+        this.advance();
+      } else {
+        break;
+      }
+    }
+  }
+
+  // === Grammar ===
+
+  parseValue() {
+    const ch = this.peek();
+
+    if (ch === undefined) this.fail("unexpected_end", "Unexpected end of document");
+    if (ch === "{") return this.parseObject();
+    if (ch === "[") return this.parseArray();
+    if (ch === '"' || ch === "'") return this.parseString();
+    if (/[-\d]/.test(ch)) return this.parseNumber();
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(this.source.slice(this.position));
+    if (word && ["true", "false", "null"].includes(word[0])) {
+      for (let i = 0; i < word[0].length; i++) this.advance();
+      return word[0] === "null" ? null : word[0] === "true";
+    }
+
+    // Broken by design: bare text such as eval(mathematical_connection)
+    if (this.lenient && !/[,}\]:]/.test(ch)) {
+      const loc = this.location();
+      const text = this.readUntil(/[,}\]\n]/).trim();
+      this.report("warning", "unquoted_string", `Unquoted value "${text}" read as a string`, loc);
+      return text;
+    }
+
+    this.fail("unexpected_token", `Unexpected "${ch}" where a value was expected`);
+  }
+
+  parseObject() {
+    const open = this.location();
+    const object = {};
+    const locations = {};
+    Object.defineProperty(object, LOCATIONS, { value: locations, enumerable: false });
+
+    this.advance(); // {
+    this.skipWhitespace();
+
+    while (this.peek() !== "}") {
+      if (this.position >= this.source.length) {
+        if (this.lenient) {
+          this.report("warning", "unclosed_object", "Object opened here is never closed", open);
+          return object;
+        }
+        this.fail("unclosed_object", "Object opened here is never closed", open);
+      }
+
+      const { text: key, loc: keyLoc } = this.parseKey();
+      this.skipWhitespace();
+
+      let value = null;
+      if (this.peek() === ":") {
+        this.advance();
+        this.skipWhitespace();
+        value = this.parseValue();
+      } else {
+        // "GOTO recalibrate" written without a value
+        this.problem("missing_value", `Key "${key}" has no value`, keyLoc);
+      }
+
+      if (Object.prototype.hasOwnProperty.call(object, key)) {
+        this.problem("duplicate_key", `Duplicate key "${key}" (first defined at line ${locations[key].line})`, keyLoc);
+      } else {
+        locations[key] = keyLoc;
+      }
+      object[key] = value;
+
+      this.skipWhitespace();
+      if (this.peek() === ",") {
+        this.advance();
+        this.skipWhitespace();
+      } else if (this.peek() !== "}" && this.position < this.source.length) {
+        this.problem("missing_comma", `Missing "," after "${key}"`);
+        if (!this.lenient) throw new StopParsing("missing comma");
+      }
+    }
+
+    this.advance(); // }
+    return object;
+  }
+
+  parseArray() {
+    const open = this.location();
+    const items = [];
+
+    this.advance(); // [
+    this.skipWhitespace();
+
+    while (this.peek() !== "]") {
+      if (this.position >= this.source.length) {
+        if (this.lenient) {
+          this.report("warning", "unclosed_array", "Array opened here is never closed", open);
+          return items;
+        }
+        this.fail("unclosed_array", "Array opened here is never closed", open);
+      }
+
+      items.push(this.parseValue());
+      this.skipWhitespace();
+
+      if (this.peek() === ",") {
+        this.advance();
+        this.skipWhitespace();
+      } else if (this.peek() !== "]" && this.position < this.source.length) {
+        this.problem("missing_comma", `Missing "," in array`);
+        if (!this.lenient) throw new StopParsing("missing comma");
+      }
+    }
+
+    this.advance(); // ]
+    return items;
+  }
+
+  // Key location points at the first character of the key text, inside any quote
+  parseKey() {
+    const ch = this.peek();
+    if (ch === '"' || ch === "'") {
+      const quoteLoc = this.location();
+      return { text: this.parseString(), loc: { line: quoteLoc.line, column: quoteLoc.column + 1 } };
+    }
+
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(this.source.slice(this.position));
+    const loc = this.location();
+
+    // Unquoted multi-word keys such as IF x THEN: only survive lenient mode
+    const text = this.readUntil(/[:,}\n]/).trim();
+    if (!text) this.fail("unexpected_token", `Unexpected "${ch}" where a key was expected`, loc);
+
+    if (!identifier || identifier[0] !== text) {
+      this.problem("unquoted_key", `Unquoted key "${text}" must be quoted`, loc);
+    }
+    return { text, loc };
+  }
+
+  parseString() {
+    const start = this.location();
+    const quote = this.advance();
+    let text = "";
+
+    while (this.peek() !== quote) {
+      if (this.position >= this.source.length || this.peek() === "\n") {
+        this.fail("unterminated_string", "Unterminated string", start);
+      }
+
+      const ch = this.advance();
+      if (ch !== "\\") {
+        text += ch;
+        continue;
+      }
+
+      const escape = this.advance();
+      const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" };
+      if (escape === "u") {
+        const hex = this.source.slice(this.position, this.position + 4);
+        for (let i = 0; i < 4; i++) this.advance();
+        text += String.fromCharCode(parseInt(hex, 16));
+      } else {
+        text += escapes[escape] ?? escape;
+      }
+    }
+
+    this.advance(); // closing quote
+    return text;
+  }
+
+  parseNumber() {
+    const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(this.source.slice(this.position));
+    if (!match) this.fail("invalid_number", `Invalid number starting with "${this.peek()}"`);
+    for (let i = 0; i < match[0].length; i++) this.advance();
+    return parseFloat(match[0]);
+  }
+
+  readUntil(pattern) {
+    let text = "";
+    while (this.position < this.source.length && !pattern.test(this.peek())) {
+      text += this.advance();
+    }
+    return text;
+  }
+
+  // === Semantic validation ===
+
+  validate(document) {
+    this.checkKeys(document);
+
+    const statements = toStatements(document, issue => {
+      this.problem(issue.code, issue.message, this.conditionLoc(issue.loc, issue.key, issue.condition, issue.offset));
+    });
+
+    const blocks = collectBlocks(statements);
+    const labels = new Set([...blocks.keys(), ...this.options.labels]);
+    const defined = new Set(this.options.globals);
+
+    this.checkStatements(statements, labels, defined);
+  }
+
+  // Unknown keywords and IF/ELSE IF keys missing THEN
+  checkKeys(object) {
+    const locations = object[LOCATIONS] || {};
+
+    for (const [key, value] of Object.entries(object)) {
+      const loc = locations[key];
+      const firstWord = key.trim().split(/\s+/)[0];
+      const multiWord = /\s/.test(key.trim());
+
+      if ((firstWord === "IF" || /^ELSE\s+IF\b/.test(key.trim())) && !/\sTHEN$/.test(key.trim())) {
+        this.problem("unbalanced_if", `"${key}" is missing THEN`, loc);
+      } else if (multiWord && /^[A-Z]{2,}$/.test(firstWord) && !KEYWORDS.includes(firstWord)) {
+        this.problem("unknown_keyword", `Unknown NJSON keyword "${firstWord}"`, loc);
+      }
+
+      if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        this.checkKeys(value);
+      }
+    }
+  }
+
+  // Walk statements in source order tracking which variables exist so far
+  checkStatements(statements, labels, defined) {
+    for (const statement of statements) {
+      switch (statement.type) {
+        case "let":
+        case "property":
+          defined.add(statement.name);
+          break;
+
+        case "calculate":
+          this.checkExpression(statement.source, statement.loc, defined);
+          defined.add(statement.name);
+          break;
+
+        case "return":
+          if (statement.source !== null) this.checkExpression(statement.source, statement.loc, defined);
+          break;
+
+        case "goto":
+          if (typeof statement.target !== "string" || !statement.target) {
+            this.problem("invalid_goto", "GOTO needs a target label", statement.loc);
+          } else if (!labels.has(statement.target)) {
+            this.problem("undefined_label", `GOTO target "${statement.target}" is not defined`, statement.loc);
+          }
+          break;
+
+        case "block":
+          this.checkStatements(statement.body, labels, defined);
+          break;
+
+        case "if":
+          for (const branch of statement.branches) {
+            if (branch.ast) this.checkIdentifiers(branch.ast, branch, defined);
+            this.checkStatements(branch.body, labels, defined);
+          }
+          if (statement.elseBody) this.checkStatements(statement.elseBody, labels, defined);
+          break;
+      }
+    }
+  }
+
+  checkExpression(source, loc, defined) {
+    let ast;
+    try {
+      ast = parseExpression(source);
+    } catch (error) {
+      this.problem("invalid_expression", `Invalid expression "${source}": ${error.message}`, loc);
+      return;
+    }
+    this.checkIdentifiers(ast, { loc }, defined);
+  }
+
+  // Report each identifier read before any LET, CALCULATE or property assigns it
+  checkIdentifiers(ast, branch, defined) {
+    const reported = new Set();
+
+    for (const node of identifierNodes(ast)) {
+      if (defined.has(node.name) || defined.has(node.name.split(".")[0]) || reported.has(node.name)) continue;
+      reported.add(node.name);
+
+      const loc = this.conditionLoc(branch.loc, branch.key, branch.condition, node.offset);
+      this.problem("undefined_variable", `Variable "${node.name}" is used before it is defined`, loc);
+    }
+  }
+
+  // Shift a key location to a character inside its IF condition
+  conditionLoc(loc, key, condition, offset) {
+    if (!loc || !key || !condition || offset === undefined) return loc;
+    return { line: loc.line, column: loc.column + key.indexOf(condition) + offset };
+  }
+}
+
+// Identifier nodes of an expression AST, in source order
+function identifierNodes(ast, nodes = []) {
+  if (!ast) return nodes;
+  if (ast.type === "identifier") nodes.push(ast);
+  if (ast.argument) identifierNodes(ast.argument, nodes);
+  if (ast.left) identifierNodes(ast.left, nodes);
+  if (ast.right) identifierNodes(ast.right, nodes);
+  return nodes;
+}
+
+// Parse NJSON source text
+function parseNJSON(source, options = {}) {
+  return new NJSONParser(source, options).parse();
+}
+
+// Format a diagnostic as file:line:column severity message
+function formatDiagnostic(diagnostic, file = "<njson>") {
+  return `${file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.severity} ${diagnostic.message} [${diagnostic.code}]`;
+}
+
+// Load a standalone .njson file; throws on errors and warns in lenient mode
+function loadNJSONFile(filePath, options = {}) {
+  const result = parseNJSON(fs.readFileSync(filePath, 'utf8'), options);
+
+  if (!result.ok) {
+    const errors = result.diagnostics
+      .filter(d => d.severity === "error")
+      .map(d => formatDiagnostic(d, filePath));
+    throw new Error(`Invalid NJSON document:\n${errors.join("\n")}`);
+  }
+
+  if (!options.quiet) {
+    result.diagnostics.forEach(d => console.warn(formatDiagnostic(d, filePath)));
+  }
+
+  return result.value;
+}
+
+module.exports = {
+  KEYWORDS,
+  NJSONParser,
+  parseNJSON,
+  loadNJSONFile,
+  formatDiagnostic
+};
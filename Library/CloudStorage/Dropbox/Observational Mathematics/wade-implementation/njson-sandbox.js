@@ -0,0 +1,135 @@
+// njson-sandbox.js - Bounded execution for user-supplied NJSON programs
+// Step, nesting depth and wall-clock limits; crossing one returns a "halted" result instead of hanging
+
+const { NJSONInterpreter } = require('./njson-interpreter.js');
+const { parseNJSON, formatDiagnostic } = require('./njson-parser.js');
+
+const DEFAULT_LIMITS = {
+  maxSteps: 10000,  // Statements executed, every GOTO included
+  maxDepth: 64,     // Nested IF / block bodies
+  timeoutMs: 1000   // Wall-clock budget per run
+};
+
+// Thrown inside the interpreter to unwind a run that crossed a limit
+class NJSONHalt extends Error {
+  constructor(reason, limit, message) {
+    super(message);
+    this.name = "NJSONHalt";
+    this.reason = reason;
+    this.limit = limit;
+  }
+}
+
+class NJSONSandbox extends NJSONInterpreter {
+  constructor(options = {}) {
+    super(options);
+    // Unset limits (e.g. absent MCP arguments) keep their defaults
+    const overrides = Object.entries(options.limits || {}).filter(([, value]) => value !== undefined);
+    this.limits = { ...DEFAULT_LIMITS, ...Object.fromEntries(overrides) };
+  }
+
+  // Same result shape as NJSONInterpreter.run, plus status "halted" / "error" and usage
+  run(document, scope = {}) {
+    this.usage = { steps: 0, depth: 0, deepest: 0, startedAt: Date.now() };
+    this.activeState = null;
+
+    try {
+      return this.withUsage(super.run(document, scope));
+    } catch (error) {
+      const state = this.activeState || { scope: { ...scope }, output: [], trace: [], jumps: [] };
+      const partial = {
+        unresolvedTarget: null,
+        returnValue: undefined,
+        variables: state.scope,
+        output: state.output,
+        trace: state.trace,
+        jumps: state.jumps
+      };
+
+      if (error instanceof NJSONHalt) {
+        return this.withUsage({
+          status: "halted",
+          halted: { reason: error.reason, limit: error.limit, message: error.message },
+          ...partial
+        });
+      }
+
+      // Bad expressions and over-deep documents end the run, not the host
+      return this.withUsage({ status: "error", error: error.message, ...partial });
+    }
+  }
+
+  executeBody(statements, state) {
+    this.activeState = state;
+    this.usage.depth++;
+    this.usage.deepest = Math.max(this.usage.deepest, this.usage.depth);
+
+    try {
+      if (this.usage.depth > this.limits.maxDepth) {
+        throw new NJSONHalt("depth_limit", this.limits.maxDepth, `Nesting depth exceeded ${this.limits.maxDepth}`);
+      }
+      return super.executeBody(statements, state);
+    } finally {
+      this.usage.depth--;
+    }
+  }
+
+  executeStatement(statement, state) {
+    this.usage.steps++;
+
+    if (this.usage.steps > this.limits.maxSteps) {
+      throw new NJSONHalt("step_limit", this.limits.maxSteps, `Step limit of ${this.limits.maxSteps} reached`);
+    }
+    if (Date.now() - this.usage.startedAt > this.limits.timeoutMs) {
+      throw new NJSONHalt("timeout", this.limits.timeoutMs, `Timed out after ${this.limits.timeoutMs}ms`);
+    }
+
+    return super.executeStatement(statement, state);
+  }
+
+  withUsage(result) {
+    return {
+      ...result,
+      usage: {
+        steps: Math.min(this.usage.steps, this.limits.maxSteps),
+        depth: this.usage.deepest,
+        elapsedMs: Date.now() - this.usage.startedAt
+      }
+    };
+  }
+}
+
+// Run an NJSON object under the sandbox limits
+function runSandboxed(document, scope = {}, options = {}) {
+  return new NJSONSandbox(options).run(document, scope);
+}
+
+// Parse and run NJSON source text; syntax errors come back as an "error" result with diagnostics
+function runNJSONSource(source, scope = {}, options = {}) {
+  const parsed = parseNJSON(source, {
+    mode: options.mode || "strict",
+    globals: Object.keys(scope)
+  });
+
+  if (!parsed.ok) {
+    return {
+      status: "error",
+      error: "Invalid NJSON document",
+      diagnostics: parsed.diagnostics.map(d => formatDiagnostic(d, options.sourceFile || "<njson>"))
+    };
+  }
+
+  const result = runSandboxed(parsed.value, scope, options);
+  if (parsed.diagnostics.length > 0) {
+    result.diagnostics = parsed.diagnostics.map(d => formatDiagnostic(d, options.sourceFile || "<njson>"));
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  NJSONHalt,
+  NJSONSandbox,
+  runSandboxed,
+  runNJSONSource
+};
@@ -1,16 +1,34 @@
 // Wade's NJSON V-8 Cognitive Processing Engine
 // Direct, personal, and executable. No generic logic.
 
+const path = require('path');
+const { requireNJSON } = require('./njson-compiler.js');
+const { runSandboxed } = require('./njson-sandbox.js');
+
+// Musical and mathematical predicates are authored in NJSON and compiled at load time
+const rules = requireNJSON(path.join(__dirname, 'njson-v8-rules.njson'));
+
+// Recursion as an NJSON GOTO loop, so the sandbox step limit bounds it instead of the stack
+const RECURSE_PROGRAM = {
+  "LET depth": 0,
+  "descend": {
+    "IF n > 0 THEN": {
+      "CALCULATE n": "n - 1",
+      "CALCULATE depth": "depth + 1",
+      "GOTO": "descend"
+    },
+    "ELSE": { "RETURN": "depth" }
+  },
+  "GOTO": "descend"
+};
+
 const NJSON = {
   musical: {
-    tempo: (input) => input.bpm > 120 ? true : false,
-    harmony: (input) => input.chord === 'maj7' ? 'open' : 'closed',
-    improvisation: (input) => input.mode === 'Lydian' ? 'explore' : 'resolve',
+    ...rules.musical,
   },
   mathematical: {
-    align: (x, y) => (x + 0.1 === y ? true : false),
+    ...rules.mathematical,
     quantumJump: (arr) => arr.some((v, i, a) => i > 0 && v !== a[i-1]),
-    buffer: (val) => val < 2.99 ? 2.99 - val : 0,
   },
   writing: {
     direct: (text) => /^(yes|no|true|false|1|0)$/i.test(text.trim()),
@@ -18,17 +36,29 @@ const NJSON = {
     pad: (text) => text.length < 10 ? text.padEnd(10, '_') : text,
   },
   infinite: {
-    recurse: function f(n) { return n > 0 ? f(n-1) + 1 : 0; },
+    // Returns the depth reached, or the sandbox "halted" result when n is too large
+    recurse: (n, limits = {}) => {
+      const result = runSandboxed(RECURSE_PROGRAM, { n }, { limits });
+      return result.status === "completed" ? result.returnValue : result;
+    },
     paradox: () => (true && false) || !(true || false),
-    self: () => NJSON,
+    // Self-description without handing out a circular reference
+    self: () => Object.fromEntries(
+      Object.entries(NJSON).map(([domain, entries]) => [domain, Object.keys(entries)])
+    ),
   }
 };
 
-// Example: Musical tempo check
-console.log('Musical tempo > 120:', NJSON.musical.tempo({bpm: 130}));
-// Example: Mathematical alignment
-console.log('Align 2.89 + 0.1 == 2.99:', NJSON.mathematical.align(2.89, 2.99));
-// Example: Writing direct Boolean
-console.log('Direct Boolean:', NJSON.writing.direct('yes'));
-// Example: Infinite recursion
-console.log('Infinite recurse(3):', NJSON.infinite.recurse(3));
+// Examples only when run directly (node njson-v8-engine.js), not on require
+if (require.main === module) {
+  // Example: Musical tempo check
+  console.log('Musical tempo > 120:', NJSON.musical.tempo({bpm: 130}));
+  // Example: Mathematical alignment
+  console.log('Align 2.89 + 0.1 == 2.99:', NJSON.mathematical.align(2.89, 2.99));
+  // Example: Writing direct Boolean
+  console.log('Direct Boolean:', NJSON.writing.direct('yes'));
+  // Example: Bounded recursion
+  console.log('Bounded recurse(3):', NJSON.infinite.recurse(3));
+}
+
+module.exports = NJSON;
@@ -1,24 +1,60 @@
 // blf-processor.js - Basic Boolean Language Framework processor
 
 const blfConfig = require('./blf.js');
+const { resolveRandom } = require('../BLF Enhancements/seeded-random.js');
+const { extractConcepts } = require('../BLF Enhancements/concept-extraction.js');
+const { PresetLoader } = require('../BLF Enhancements/preset-loader.js');
+const { detectAlignmentFormat, toBLFConfig } = require('../BLF Enhancements/alignment-adapter.js');
+const { createDefaultProtocols } = require('../BLF Enhancements/response-protocols.js');
 
 class BLFProcessor {
   constructor(config = blfConfig) {
-    this.config = config;
+    // BLF-1.0 is used as is; older BLF versions are migrated and WThomas or agent configs converted
+    this.config = detectAlignmentFormat(config) ? toBLFConfig(config) : config;
+    // Shared PRNG for protocol extensions; set config.randomSeed for reproducible runs
+    this.random = resolveRandom(this.config);
     this.initialized = false;
     this.quantumState = {
       pure: true,
       fog: false,
       breathing: true,
       jumps: {
-        active: config.cognitiveProtocol?.jumps?.enabled ?? false,
-        power: config.cognitiveProtocol?.jumps?.power ?? "unknown"
+        active: this.config.cognitiveProtocol?.jumps?.enabled ?? false,
+        power: this.config.cognitiveProtocol?.jumps?.power ?? "unknown"
       }
     };
+    // Transform registry behind responseProtocols; register custom protocol names here
+    this.protocols = createDefaultProtocols();
+    this.reportedProtocols = new Set();  // Unknown protocol names already warned about
     this.breathingInProgress = false;
     this.initInProgress = false;
   }
   
+  // Processor configured from a named preset file instead of blf.js
+  static fromPreset(name, loader = new PresetLoader()) {
+    return new BLFProcessor(toBLFConfig(loader.load(name).preset));
+  }
+  
+  // Replace the config with a preset's
+  applyPreset(name, loader = new PresetLoader()) {
+    this.usePreset(loader.load(name).preset);
+    return this.config;
+  }
+  
+  // Apply a preset now and swap it in again whenever its files change; returns the watcher ({ close })
+  watchPreset(name, loader = new PresetLoader()) {
+    this.applyPreset(name, loader);
+    return loader.watch(name, ({ preset }) => this.usePreset(preset));
+  }
+  
+  usePreset(preset) {
+    this.config = toBLFConfig(preset);
+    this.quantumState.jumps = {
+      active: this.config.cognitiveProtocol.jumps.enabled,
+      power: this.config.cognitiveProtocol.jumps.power
+    };
+  }
+  
   // Initialize with recursion protection
   async initialize() {
     if (this.initInProgress) {
@@ -94,8 +130,11 @@ class BLFProcessor {
     };
     
     // Generate response following BLF protocols
+    const { text, applied, unknown } = this.runResponseProtocols(input);
     return {
-      result: this.applyResponseProtocols(input),
+      result: text,
+      protocols: { applied, unknown },
+      concepts: this.extractConcepts(input),
       processed: true,
       timestamp: Date.now(),
       quantumState: this.quantumState,
@@ -103,17 +142,30 @@ class BLFProcessor {
     };
   }
   
+  // Concepts in the input; config.conceptExtraction tunes the pipeline
+  extractConcepts(text) {
+    return extractConcepts(String(text ?? ""), this.config.conceptExtraction);
+  }
+  
+  // Rewrite input through the configured protocols: { text, applied, unknown }
+  runResponseProtocols(input) {
+    const report = this.protocols.apply(String(input ?? ""), this.config.responseProtocols ?? {}, {
+      conceptExtraction: this.config.conceptExtraction,
+      random: this.random
+    });
+    
+    // Warn once per name; every call still lists them in report.unknown
+    const unreported = report.unknown.filter(name => !this.reportedProtocols.has(name));
+    if (unreported.length > 0) {
+      unreported.forEach(name => this.reportedProtocols.add(name));
+      console.warn(`Unknown response protocols skipped: ${unreported.join(", ")}`);
+    }
+    return report;
+  }
+  
   // Apply response protocols from configuration
   applyResponseProtocols(input) {
-    const protocols = this.config.responseProtocols ?? {
-      prioritize: "default",
-      eliminate: "none"
-    };
-    
-    // Simple implementation - in practice this would be more sophisticated
-    console.log(`Applying protocols: prioritize=${protocols.prioritize}, eliminate=${protocols.eliminate}`);
-    
-    return `Processed with BLF: ${input}`;
+    return this.runResponseProtocols(input).text;
   }
 }
 
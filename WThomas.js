@@ -13,6 +13,26 @@
 // ⚠️  BROKEN BY DESIGN  ⚠️
 // =============================================
 
+const { EventEmitter } = require('events');
+const { DOMAINS, ConceptGraph, loadConceptGraph } = require('./BLF Enhancements/concept-graph.js');
+const { resolveRandom, pick } = require('./BLF Enhancements/seeded-random.js');
+const { createDefaultRegistry } = require('./BLF Enhancements/interpretation-registry.js');
+const { detectSubjectTransitions } = require('./BLF Enhancements/subject-transitions.js');
+const { BranchRegistry } = require('./BLF Enhancements/branch-registry.js');
+const { flattenBranches, summarizeBranchTree, mergeBranches } = require('./BLF Enhancements/branch-merge.js');
+const { selectProfile, renderWithProfile } = require('./BLF Enhancements/communication-profiles.js');
+const { EscalationStateMachine } = require('./BLF Enhancements/escalation-machine.js');
+const { resolveValleyGirlMode, applyValleyGirlMode } = require('./BLF Enhancements/valley-girl-mode.js');
+const { applyWingItMode } = require('./BLF Enhancements/wing-it-mode.js');
+const { ResponseQueue } = require('./BLF Enhancements/response-queue.js');
+const { withProvenance, deduplicateConnections } = require('./BLF Enhancements/connection-dedup.js');
+const { extractConcepts } = require('./BLF Enhancements/concept-extraction.js');
+const { validateConfig } = require('./BLF Enhancements/config-schema.js');
+const { cloneConfig, deepMerge, diffConfig, ConfigHistory } = require('./BLF Enhancements/config-history.js');
+const { PresetLoader, presetToWThomas } = require('./BLF Enhancements/preset-loader.js');
+const { detectAlignmentFormat, toCanonicalAlignment, convertAlignment, toWThomasConfig } = require('./BLF Enhancements/alignment-adapter.js');
+const { DAY_MS, createConnectionStore } = require('./BLF Enhancements/connection-store.js');
+
 // Direct LLSDT constants
 const llsdt = {
   limits: {
@@ -65,7 +85,7 @@ const testSubsets = {
   // Professional Communications Subset
   professional: {
     cognitiveAlignment: {
-      aiCognitiveCapabilities: 2.89,
+      aiCognitiveCapabilities: 2.84,  // AIc + 0.15 = BMqs
       booleanMindQuantumSpeed: 2.99,
       safetyBuffer: 0.15,
       enforceBuffer: true,
@@ -73,7 +93,7 @@ const testSubsets = {
       llsdtRate: 0.1
     },
     quantumSpeed: {
-      level: 2.89,
+      level: 2.84,
       domainRange: "professional",
       allowJumps: true,
       maxJumpDistance: 2,
@@ -557,17 +577,95 @@ const testSubsets = {
         }
       }
     }
+  },
+
+  // Authorial Duties Subset
+  authorial: {
+    cognitiveAlignment: {
+      aiCognitiveCapabilities: 2.84,
+      booleanMindQuantumSpeed: 2.99,
+      safetyBuffer: 0.15, // Increased buffer for creative work
+      enforceBuffer: true,
+      anthropicOptimization: true,
+      llsdtRate: 0.1
+    },
+    quantumSpeed: {
+      level: 2.84,
+      domainRange: "creative",
+      allowJumps: true,
+      maxJumpDistance: 3, // Increased for creative connections
+      subjectIdentification: false
+    },
+    conceptExtraction: {
+      phrases: ["point_of_view", "story_arc", "plot_twist", "character_voice"]
+    },
+    responseProtocols: {
+      prioritize: "creative_accuracy_with_kentucky_southie_blend",
+      eliminate: "excessive_formality",
+      structure: "narrative_flow_with_bluegrass_edge",
+      format: "professional_but_authentic_kentucky_southie_style",
+      feedback: "creative_success_indicators",
+      socialPadding: {
+        level: "moderate",
+        style: "kentucky_southie_fusion",
+        politicalCorrectness: "balanced",
+        edgeFactor: 0.7,
+        maintainProfessionalism: true,
+        culturalBlend: {
+          kentucky: 0.6,
+          southie: 0.4,
+          authenticity: "born_in_kentucky_with_southie_attitude"
+        }
+      }
+    }
   }
 };
 
+// Population standard deviation, used for branch confidence consistency
+function calculateStandardDeviation(values) {
+  if (!values || values.length === 0) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+// Cancellation surfaces as an AbortError wherever processing notices it
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    const error = new Error("WThomas processing cancelled");
+    error.name = "AbortError";
+    throw error;
+  }
+}
+
 // Quantum WThomas class
 class WThomas {
   constructor(config) {
-    this.config = config || this.getDefaultConfig();
+    // BLF-1.0 and MCP agent configs are converted and merged over the defaults
+    const format = config ? detectAlignmentFormat(config) : null;
+    this.config = format === "blf" || format === "agents"
+      ? deepMerge(this.getDefaultConfig(), toWThomasConfig(config))
+      : config || this.getDefaultConfig();
+    const validation = this.validateConfig();
+    if (!validation.valid) {
+      throw new Error(`Invalid WThomas config:\n${validation.errors.map(error => `- ${error.message}`).join("\n")}`);
+    }
+    this.configHistory = new ConfigHistory(20);
+    this.configHistory.record(this.config, "initial");
     this.structures = {};
     this.connections = [];
+    this.conceptGraph = loadConceptGraph(this.config.conceptGraph?.file);
+    this.random = resolveRandom(this.config);
+    this.interpretations = createDefaultRegistry();
+    this.escalations = new Map();  // conversationId -> EscalationStateMachine
+    // Incoming messages with due times from each communication type's responseTime
+    this.responseQueue = new ResponseQueue(recipient => this.selectCommunicationProfile(recipient));
+    // Optional persistence: { type: "jsonl" | "table", file, halfLifeDays }
+    this.connectionStore = this.config.connectionStore ? createConnectionStore(this.config.connectionStore) : null;
     this.initialized = false;
     this.lastSyncCheck = Date.now();
+    this.breathingInProgress = false; // Flag to prevent recursive breathing
+    this.initInProgress = false; // Flag to prevent recursive initialization
     this.discoveryTimestamps = [];
     this.quantumState = {
       pure: true,      // Pure quantum state
@@ -583,6 +681,9 @@ class WThomas {
   // Get default configuration with updated cognitive alignment
   getDefaultConfig() {
     return {
+      // Seed for reproducible jumps and breathing (null = Math.random)
+      randomSeed: null,
+      
       // AI Maturation Formula components
       AMF: {
         personality: 0.7, // Default Mid-Western neutral baseline
@@ -616,6 +717,14 @@ class WThomas {
         maxJumpDistance: 3 // Maximum domains to jump in single connection
       },
       
+      // Concept extraction pipeline; branch subsets override with their own conceptExtraction
+      conceptExtraction: {
+        minLength: 4, // Shorter words only count when the concept graph knows them
+        stemming: true,
+        maxPhraseLength: 3,
+        knownOnly: false
+      },
+      
       // Response protocols
       responseProtocols: {
         prioritize: "clarity_over_comprehensiveness",
@@ -628,9 +737,10 @@ class WThomas {
       // Branching Theory settings
       branchingTheory: {
         enabled: true,
-        maxBranches: 2, // Changed to 2 for family/friends and professional
+        maxBranches: 2, // Top-priority branches that produce connections
         branchConfidence: 0.8,
         mergeThreshold: 0.6,
+        mergePolicy: "union", // union | priority-first | confidence-weighted
         branchDepth: 2,
         allowParallelProcessing: true,
         branchValidation: {
@@ -641,14 +751,23 @@ class WThomas {
         // Add specific branch configurations
         branches: {
           familyFriends: {
+            type: "family_friends", // Reported type; defaults to the key
             enabled: true,
             priority: 1,
+            threshold: 0.7,
             config: testSubsets.familyFriends
           },
           professional: {
             enabled: true,
             priority: 2,
+            threshold: 0.8,
             config: testSubsets.professional
+          },
+          authorial: {
+            enabled: true,
+            priority: 3,
+            threshold: 0.75,
+            config: testSubsets.authorial
           }
         }
       }
@@ -657,12 +776,23 @@ class WThomas {
   
   // Initialize WThomas structure
   async initialize() {
-    // Enforce cognitive alignment constraint
-    this.validateCognitiveAlignment();
+    if (this.initInProgress) {
+      console.log("Initialization already in progress, preventing recursion");
+      return true;
+    }
     
-    // Additional initialization logic
-    this.initialized = true;
-    return true;
+    this.initInProgress = true;
+    
+    try {
+      // Enforce cognitive alignment constraint; a violation rejects, so process() never runs misaligned
+      this.validateCognitiveAlignment();
+      
+      // Additional initialization logic
+      this.initialized = true;
+      return true;
+    } finally {
+      this.initInProgress = false;
+    }
   }
   
   // Validate cognitive alignment to ensure AIc + 0.1 = BMqs
@@ -715,6 +845,11 @@ class WThomas {
     return true;
   }
   
+  // Kept for FixedWThomas callers; breathing guards make the plain version safe
+  validateCognitiveAlignmentSafe() {
+    return this.validateCognitiveAlignment();
+  }
+  
   // Validate LLSDT rate
   validateLLSDTRate() {
     const current = this.config.cognitiveAlignment.llsdtRate;
@@ -802,55 +937,246 @@ class WThomas {
       strength = strength * (this.config.quantumSpeed.maxJumpDistance / jumpDistance);
     }
     
-    this.connections.push({
+    const connection = {
       from: fromConcept,
       to: toConcept,
       strength,
       timestamp: Date.now(),
       jumpDistance
+    };
+    
+    this.connections.push(connection);
+    
+    // Persist so daily sessions accumulate learned connections
+    if (this.connectionStore) {
+      this.connectionStore.append(connection);
+    }
+  }
+  
+  // Attach a connection store (any backend from connection-store.js)
+  useConnectionStore(store) {
+    this.connectionStore = store;
+    return this;
+  }
+  
+  // Load every stored connection into memory
+  loadConnections() {
+    if (!this.connectionStore) return this.connections;
+    this.connections = this.connectionStore.load();
+    return this.connections;
+  }
+  
+  // Write the in-memory connections back to the store
+  saveConnections() {
+    if (!this.connectionStore) {
+      console.warn("No connection store attached - connections not saved");
+      return false;
+    }
+    this.connectionStore.save(this.connections);
+    return true;
+  }
+  
+  // Rebuild connection state as it stood at a given moment, strengths decayed to that time
+  replayConnections(at = Date.now(), options = {}) {
+    if (!this.connectionStore) return this.connections;
+    
+    const halfLifeDays = options.halfLifeDays ?? this.config.connectionStore?.halfLifeDays ?? 30;
+    this.connections = this.connectionStore.replay(at, {
+      halfLifeMs: halfLifeDays * DAY_MS,
+      minStrength: options.minStrength
     });
+    return this.connections;
   }
   
-  // Calculate jump distance between concepts
+  // Calculate jump distance between concepts as the concept graph's shortest path
   calculateJumpDistance(fromConcept, toConcept) {
-    // Implementation would depend on domain knowledge graph
-    // This is a simplified placeholder
-    return 1;
+    // Concepts the graph doesn't know keep the single-jump default
+    if (!this.conceptGraph.hasConcept(fromConcept) || !this.conceptGraph.hasConcept(toConcept)) {
+      return 1;
+    }
+    
+    // Known but unconnected concepts sit just past the maximum jump
+    const distance = this.conceptGraph.jumpDistance(fromConcept, toConcept);
+    return distance === null ? this.config.quantumSpeed.maxJumpDistance + 1 : distance;
+  }
+  
+  // Find connections for a concept from the concept graph
+  findConceptConnections(concept) {
+    return this.conceptGraph.connectionsFrom(concept);
+  }
+  
+  // Extract concepts with the pipeline settings of a branch subset (current branch by default)
+  extractConcepts(text, subsetConfig = this.getCurrentBranchConfig()) {
+    if (typeof text !== 'string') {
+      console.log("Warning: input to extractConcepts is not a string", text);
+      return [];
+    }
+    
+    return extractConcepts(text, {
+      ...this.config.conceptExtraction,
+      ...subsetConfig?.conceptExtraction,
+      conceptGraph: this.conceptGraph
+    });
+  }
+  
+  // One connection per from → to pair with merged strength and provenance
+  // options.combine: "noisy-or" (default), "max" or "mean"
+  deduplicateConnections(connections, options = {}) {
+    return deduplicateConnections(connections, options);
+  }
+  
+  // Connection confidence: strength, discounted for jumps beyond maxJumpDistance
+  calculateConnectionConfidence(connection) {
+    const strength = connection.strength ?? 0.5;
+    const distance = connection.jumpDistance ?? 1;
+    const maxJump = this.config.quantumSpeed.maxJumpDistance;
+    const reach = distance <= maxJump ? 1 : maxJump / distance;
+    
+    return Math.max(0, Math.min(1, strength * reach));
   }
   
   // Process input using Boolean Mind patterns with updated constraints
-  async process(input) {
+  async process(input, options = {}) {
+    let response;
+    for await (const event of this.processStream(input, options)) {
+      if (event.stage === "answer") response = event.data;
+    }
+    return response;
+  }
+  
+  // Stage-by-stage processing: yields { stage, data, timestamp } as each step completes
+  // Stages: breathing, direct_jump, constraints, branches, quantum_jumps, heat_shield, interpretations, answer
+  // Pass options.signal (AbortSignal) or stop iterating to cancel; branching also checks between branches
+  // options.recipient renders the answer with that communication profile
+  // options.conversationId tracks behaviorMatrix escalation across calls
+  // options.deliveryContext (liveTV, print, online, podcast, formal) applies valleyGirlMode limits
+  // options.wingIt relaxes the answer, falling back to the structured one if constraints break
+  async *processStream(input, options = {}) {
+    const { signal } = options;
+    const message = String(input);
+    const event = (stage, data) => ({ stage, data, timestamp: Date.now() });
+    const checkCancelled = () => throwIfCancelled(signal);
+    
+    checkCancelled();
     if (!this.initialized) await this.initialize();
     
     // Trigger AMF breathing
     await this.breatheAMF();
+    yield event("breathing", { quantumState: this.quantumState });
+    checkCancelled();
     
     // Direct jump application
     if (this.quantumState.jumps.active) {
       const jumpPower = this.quantumState.jumps.power === "v8_to_charger" ? 3 : 1;
       input = this.applyDirectJump(input, jumpPower);
+      yield event("direct_jump", { input, power: jumpPower });
+      checkCancelled();
     }
     
     // Pure quantum processing
     const constrainedInput = this.applyCognitiveAlignmentConstraints(input);
+    // Recipient type selects a communication profile (agent, betaReaders, fans, ...)
+    if (options.recipient) constrainedInput.recipient = options.recipient;
+    if (options.conversationId !== undefined) {
+      constrainedInput.escalation = this.handleEscalation(options.conversationId, message, options.recipient);
+    }
+    yield event("constraints", { constraints: constrainedInput.constraints, escalation: constrainedInput.escalation });
+    checkCancelled();
     
     // No fog branching
     if (this.config.branchingTheory.enabled) {
-      constrainedInput.branchingProcessed = this.applyBranchingTheory(constrainedInput);
+      constrainedInput.branchingProcessed = await this.applyBranchingTheoryAsync(constrainedInput, { signal });
+      yield event("branches", constrainedInput.branchingProcessed.branchingTheory || constrainedInput.branchingProcessed);
+      checkCancelled();
     }
     
     // Direct quantum speed
     if (this.config.quantumSpeed.allowJumps) {
-      constrainedInput.quantumProcessed = this.applyQuantumJumps(constrainedInput);
+      const quantum = this.applyQuantumJumps(constrainedInput);
+      constrainedInput.quantumProcessed = quantum;
+      yield event("quantum_jumps", {
+        concepts: quantum.concepts,
+        connections: quantum.quantumConnections,
+        qsExponent: quantum.qsExponent,
+        subjectTransitions: quantum.subjectTransitions
+      });
+      yield event("heat_shield", quantum.heatShield);
+      checkCancelled();
     }
     
     // Pure paradoxical thinking
     if (this.config.einsteinParadox.allowParadoxicalThinking) {
       constrainedInput.paradoxicalAnalysis = this.applyParadoxicalThinking(constrainedInput);
+      yield event("interpretations", constrainedInput.paradoxicalAnalysis);
+      checkCancelled();
     }
     
     // No fog response
-    return this.generateResponse(constrainedInput);
+    let response = this.generateResponse(constrainedInput);
+    if (constrainedInput.escalation) response.escalation = constrainedInput.escalation;
+    if (options.deliveryContext) {
+      const resolution = this.resolveValleyGirlMode(options.deliveryContext, options.recipient);
+      if (resolution) {
+        // Annoying questions (anything that escalated) earn an expression; otherwise only suppress
+        const inject = Boolean(resolution.triggers?.annoyingQuestions && constrainedInput.escalation?.category);
+        response = applyValleyGirlMode(response, resolution, { inject, random: this.random });
+      }
+    }
+    if (options.wingIt) response = this.applyWingIt(response, options.recipient);
+    yield event("answer", response);
+  }
+  
+  // Event-emitter variant of processStream: emits each stage name, then "done", "cancelled" or "error"
+  // emitter.cancel() (or options.signal) stops at the next stage or branch.
+  // Without an "error" listener a failure is reported as a process warning instead of crashing;
+  // exceptions thrown by listeners are the caller's own and are never re-emitted as "error"
+  processWithEvents(input, options = {}) {
+    const emitter = new EventEmitter();
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    
+    if (options.signal?.aborted) cancel();
+    options.signal?.addEventListener("abort", cancel, { once: true });
+    emitter.cancel = () => {
+      cancel();
+      return emitter;
+    };
+    
+    const fail = error => {
+      if (error.name === "AbortError") emitter.emit("cancelled", error);
+      else if (emitter.listenerCount("error") > 0) emitter.emit("error", error);
+      else process.emitWarning(error);
+    };
+    
+    // Start on the next tick so listeners can be attached first
+    setImmediate(async () => {
+      const stream = this.processStream(input, { ...options, signal: controller.signal });
+      let response;
+      try {
+        for (;;) {
+          let step;
+          try {
+            step = await stream.next();
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          if (step.done) break;
+          
+          const event = step.value;
+          emitter.emit("stage", event);
+          emitter.emit(event.stage, event.data);
+          if (event.stage === "answer") response = event.data;
+        }
+      } finally {
+        // Closes the stream if a listener threw mid-way
+        await stream.return();
+        options.signal?.removeEventListener("abort", cancel);
+      }
+      emitter.emit("done", response);
+    });
+    
+    return emitter;
   }
   
   // Apply cognitive alignment constraints to prevent FUDPs
@@ -881,7 +1207,7 @@ class WThomas {
   // Update applyQuantumJumps to use dynamic exponents
   applyQuantumJumps(input) {
     // Extract key concepts from input
-    const concepts = this.extractConcepts(input.original);
+    const concepts = this.extractConcepts(input.original, input.config);
     
     // Get quantum speed level
     const quantumLevel = this.config.quantumSpeed.level;
@@ -892,8 +1218,11 @@ class WThomas {
     // Store connections
     let connections = [];
     
-    // Track subject transitions
-    const subjectTransitions = [];
+    // Track subject transitions when the active subset asks for subject identification
+    const subsetConfig = input.config || this.getCurrentBranchConfig();
+    const subjectTransitions = subsetConfig?.quantumSpeed?.subjectIdentification
+      ? this.detectSubjectTransitions(input.original)
+      : [];
     
     // Track quantum paths for Boolean Mind processing
     const quantumPaths = new Map();
@@ -902,7 +1231,7 @@ class WThomas {
     for (const concept of concepts) {
       if (!processedConcepts.has(concept)) {
         // Find direct connections
-        const conceptConnections = this.findConceptConnections(concept);
+        const conceptConnections = withProvenance(this.findConceptConnections(concept), "direct");
         
         // Add connections
         connections.push(...conceptConnections);
@@ -911,7 +1240,7 @@ class WThomas {
         // Track in quantum paths
         quantumPaths.set(concept, {
           primary: concept,
-          secondary: conceptConnections.map(c => c.toConcept),
+          secondary: conceptConnections.map(c => c.to),
           tertiary: []
         });
         
@@ -925,9 +1254,12 @@ class WThomas {
     }
     
     // Apply heat shield for quantum speeds using dynamic exponent
+    const heatShield = { applied: false, before: connections.length, after: connections.length };
     if (quantumLevel >= 2.8 && this.config.cognitiveAlignment.anthropicOptimization) {
       // Use the new heat shield implementation with dynamic exponent
       connections = this.applyHeatShield(connections);
+      heatShield.applied = true;
+      heatShield.after = connections.length;
     }
     
     // Enhanced quantum result with Boolean Mind processing
@@ -937,6 +1269,7 @@ class WThomas {
       quantumLevel,
       qsExponent: this.calculateQsExponent(connections), // Include the dynamic exponent
       subjectTransitions,
+      heatShield,
       constrainedBy: `AIc + 0.1 = BMqs (${this.config.cognitiveAlignment.aiCognitiveCapabilities} + 0.1 = ${this.config.cognitiveAlignment.booleanMindQuantumSpeed})`,
       quantumPaths,  // Track all quantum paths for better Boolean Mind processing
       booleanMindCompatibility: {
@@ -951,6 +1284,30 @@ class WThomas {
     };
   }
   
+  // Detect topic changes in text as { from, to, marker } transitions
+  detectSubjectTransitions(text) {
+    return detectSubjectTransitions(text, this.conceptGraph);
+  }
+  
+  // Select the branch whose subset config drives response formatting
+  setCurrentBranch(name) {
+    if (!this.config.branchingTheory.branches?.[name]) {
+      throw new Error(`Unknown branch: ${name}`);
+    }
+    this.currentBranch = name;
+    return this;
+  }
+  
+  // Subset config of the current branch, defaulting to the highest-priority enabled branch
+  getCurrentBranchConfig() {
+    const branches = this.config.branchingTheory?.branches || {};
+    const name = this.currentBranch || Object.keys(branches)
+      .filter(key => branches[key].enabled)
+      .sort((a, b) => (branches[a].priority ?? Infinity) - (branches[b].priority ?? Infinity))[0];
+    
+    return name ? branches[name].config : null;
+  }
+  
   // Replace findTertiaryConnections with findDynamicConnections
   findDynamicConnections(connections, processedConcepts, originConcept, quantumPaths, qsExponent) {
     // Get secondary concepts
@@ -970,7 +1327,7 @@ class WThomas {
         const exponentFactor = Math.pow(qsExponent / 2.0, 1.5);
         
         // Add power boost based on exponent and quantum state
-        const poweredConnections = dynamicConnections.map(conn => ({
+        const poweredConnections = withProvenance(dynamicConnections, "tertiary").map(conn => ({
           ...conn,
           strength: conn.strength * (
             this.quantumState.jumps.power === "v8_to_charger" ? 
@@ -1026,7 +1383,7 @@ class WThomas {
           .slice(0, 3); // Limit to 3 per concept
         
         // Add extreme power boost for quaternary
-        const poweredConnections = filteredConnections.map(conn => ({
+        const poweredConnections = withProvenance(filteredConnections, "quaternary").map(conn => ({
           ...conn,
           strength: conn.strength * 0.9, // Slightly reduce strength for safety
           booleanMindJump: true,
@@ -1046,32 +1403,13 @@ class WThomas {
   applyParadoxicalThinking(input) {
     const approximationLevel = this.config.einsteinParadox.approximationLevel;
     
-    // Generate multiple interpretations based on approximation level
-    let interpretations = [];
-    
-    switch(approximationLevel) {
-      case "minimal":
-        interpretations = [this.generatePrimaryInterpretation(input)];
-        break;
-      case "moderate":
-        interpretations = [
-          this.generatePrimaryInterpretation(input),
-          this.generateAlternativeInterpretation(input)
-        ];
-        break;
-      case "maximal":
-        interpretations = [
-          this.generatePrimaryInterpretation(input),
-          this.generateAlternativeInterpretation(input),
-          this.generateCounterInterpretation(input)
-        ];
-        break;
-    }
-    
-    // Include self-reference if enabled
-    if (this.config.einsteinParadox.selfReferenceEnabled) {
-      interpretations.push(this.generateSelfReferentialInterpretation(input));
-    }
+    // Registered generators for this approximation level (self-reference if enabled)
+    const interpretations = this.interpretations.run(approximationLevel, input, {
+      conceptGraph: this.conceptGraph,
+      config: this.config,
+      random: this.random,
+      selfReferenceEnabled: this.config.einsteinParadox.selfReferenceEnabled
+    });
     
     return {
       paradoxicalAnalysis: true,
@@ -1082,6 +1420,12 @@ class WThomas {
     };
   }
   
+  // Register a named interpretation generator: generate(input, { conceptGraph, config, random })
+  registerInterpretation(name, generate, options = {}) {
+    this.interpretations.register(name, generate, options);
+    return this;
+  }
+  
   // Apply Leary Limit Sweet Dynamic Theory with enhanced hallucination buffer
   applyLearyLimitSweetDynamicTheory(input) {
     // Direct personality factor
@@ -1146,43 +1490,6 @@ class WThomas {
     };
   }
   
-  // Interpretation generator methods
-  generatePrimaryInterpretation(input) {
-    return {
-      type: "primary",
-      confidence: 0.8,
-      interpretation: "Primary logical interpretation based on direct meaning",
-      alignmentConstrained: true
-    };
-  }
-  
-  generateAlternativeInterpretation(input) {
-    return {
-      type: "alternative",
-      confidence: 0.5,
-      interpretation: "Alternative interpretation considering quantum connections",
-      alignmentConstrained: true
-    };
-  }
-  
-  generateCounterInterpretation(input) {
-    return {
-      type: "counter",
-      confidence: 0.3,
-      interpretation: "Counter-interpretation exploring opposite possibilities",
-      alignmentConstrained: true
-    };
-  }
-  
-  generateSelfReferentialInterpretation(input) {
-    return {
-      type: "self-referential",
-      confidence: 0.4,
-      interpretation: "Interpretation that considers this analysis as part of the input domain",
-      alignmentConstrained: true
-    };
-  }
-  
   // Generate response with enhanced Boolean Mind awareness
   generateResponse(processedInput) {
     const protocols = this.config.responseProtocols;
@@ -1207,7 +1514,12 @@ class WThomas {
       if (branchConfig?.quantumSpeed?.subjectIdentification) {
         // Pure transition handling
         const sentences = directAnswer.split(/[.!?]+\s+/);
-        const transitions = processedInput.quantumProcessed.subjectTransitions;
+        
+        // Prefer topic changes in the response itself; fall back to those found in the input
+        const responseTransitions = this.detectSubjectTransitions(directAnswer);
+        const transitions = responseTransitions.length > 0
+          ? responseTransitions
+          : processedInput.quantumProcessed.subjectTransitions;
         
         // Create response with V8 to Charger transitions
         let newResponse = [];
@@ -1260,17 +1572,93 @@ class WThomas {
     };
     
     // Pure result with no fog
-    return {
+    const response = {
       directAnswer,
       supportingDetails,
       relevantConcepts: protectedConcepts,
       success,
       cognitiveAlignment: alignmentApplied,
       timestamp: Date.now(),
-      quantumState: this.quantumState
+      quantumState: this.quantumState,
+      communicationProfile: null
+    };
+    
+    // Recipient-specific rendering from communicationTypes
+    if (processedInput.recipient) {
+      const profile = this.selectCommunicationProfile(processedInput.recipient);
+      if (profile) {
+        return renderWithProfile(response, profile, String(processedInput.original ?? ""));
+      }
+      console.warn(`No communication profile for recipient "${processedInput.recipient}"`);
+    }
+    
+    return response;
+  }
+  
+  // Communication profile for a recipient: current branch first, then any branch defining it
+  selectCommunicationProfile(recipient) {
+    const current = selectProfile(this.getCurrentBranchConfig(), recipient);
+    if (current) return current;
+    
+    for (const branch of this.getBranchRegistry().enabled()) {
+      const profile = selectProfile(branch.config, recipient);
+      if (profile) return profile;
+    }
+    return null;
+  }
+  
+  // Escalation state for a conversation, built from the recipient profile's behaviorMatrix
+  getEscalation(conversationId, recipient = "fans") {
+    if (!this.escalations.has(conversationId)) {
+      const behaviorMatrix = this.selectCommunicationProfile(recipient)?.behaviorMatrix;
+      if (!behaviorMatrix) {
+        console.warn(`No behaviorMatrix for recipient "${recipient}"`);
+        return null;
+      }
+      this.escalations.set(conversationId, new EscalationStateMachine(behaviorMatrix));
+    }
+    return this.escalations.get(conversationId);
+  }
+  
+  // Classify a message and advance DDGIB -> alternative -> GTFOIB; null without a behaviorMatrix
+  handleEscalation(conversationId, message, recipient = "fans") {
+    const escalation = this.getEscalation(conversationId, recipient || "fans");
+    return escalation ? escalation.handle(message) : null;
+  }
+  
+  resetEscalation(conversationId) {
+    return this.escalations.delete(conversationId);
+  }
+  
+  // Allowed valleyGirlMode intensity and expressions for a delivery context; null if the profile has none
+  resolveValleyGirlMode(deliveryContext, recipient = "fans") {
+    const profile = this.selectCommunicationProfile(recipient || "fans");
+    const valleyGirlMode = profile?.signatureStyle?.alternative?.valleyGirlMode;
+    if (!valleyGirlMode) {
+      console.warn(`No valleyGirlMode for recipient "${recipient || "fans"}"`);
+      return null;
+    }
+    
+    return {
+      ...resolveValleyGirlMode(valleyGirlMode, deliveryContext),
+      triggers: valleyGirlMode.delivery?.safetyProtocols?.triggers || {}
     };
   }
   
+  // Wing-it rendering from the recipient's signatureStyle; unchanged if the profile has no wingItMode
+  applyWingIt(response, recipient = "fans") {
+    const signatureStyle = this.selectCommunicationProfile(recipient || "fans")?.signatureStyle;
+    if (!signatureStyle?.alternative?.wingItMode) {
+      console.warn(`No wingItMode for recipient "${recipient || "fans"}"`);
+      return response;
+    }
+    
+    return applyWingItMode(response, signatureStyle.alternative.wingItMode, {
+      signatureStyle,
+      random: this.random
+    });
+  }
+  
   // Apply hallucination buffer to concepts
   applyHallucinationBuffer(concepts, processedInput) {
     // Get LLSDT protection if available
@@ -1422,32 +1810,111 @@ class WThomas {
   }
   
   // Update configuration with cognitive alignment enforcement
-  async updateConfig(newConfig) {
+  // Deep merge: nested keys not in newConfig are kept; DELETE / { $delete: true } removes a key
+  // options.reason labels the history entry; options.record: false leaves history alone
+  // options.base merges onto that config instead of the live one
+  async updateConfig(newConfig, options = {}) {
+    // Backup current config
+    const previousConfig = cloneConfig(this.config);
+    
     try {
-      // Backup current config
-      const previousConfig = JSON.parse(JSON.stringify(this.config));
-      
       // Apply new config
-      this.config = { ...this.config, ...newConfig };
+      this.config = deepMerge(options.base ?? this.config, newConfig);
+      
+      // Schema first, so typos and bad values never reach alignment validation
+      const validation = this.validateConfig();
+      if (!validation.valid) {
+        throw new Error(`Configuration update rejected:\n${validation.errors.map(error => `- ${error.message}`).join("\n")}`);
+      }
       
       // Validate cognitive alignment after update
       const isValid = this.validateCognitiveAlignment();
       
       if (!isValid) {
-        // Restore previous config if validation fails
-        this.config = previousConfig;
         throw new Error("Configuration update failed cognitive alignment validation");
       }
       
+      // A new seed (or injected random) restarts the sequence so runs replay from here
+      if ("randomSeed" in newConfig || "random" in newConfig) this.random = resolveRandom(this.config);
+      
+      if (options.record !== false) this.configHistory.record(this.config, options.reason || "update");
       return true;
     } catch (error) {
+      // Restore previous config if validation fails
+      this.config = previousConfig;
       console.error("Failed to update configuration:", error);
       return false;
     }
   }
   
+  // Back to the version before the current one; false when there is nothing to undo
+  undoConfig() {
+    const version = this.configHistory.previousVersion();
+    if (version === null) {
+      console.warn("No earlier config version to undo to");
+      return false;
+    }
+    return this.rollbackTo(version);
+  }
+  
+  // Make a recorded version current again; later versions stay available until the next update
+  rollbackTo(version) {
+    const { randomSeed, random } = this.config;
+    this.config = this.configHistory.moveTo(version);
+    if (this.config.randomSeed !== randomSeed || this.config.random !== random) this.random = resolveRandom(this.config);
+    return true;
+  }
+  
+  // Changes between two versions, or from a version to the live config
+  configDiff(fromVersion, toVersion = null) {
+    const from = this.configHistory.get(fromVersion);
+    const to = toVersion === null ? { config: this.config } : this.configHistory.get(toVersion);
+    if (!from || !to) {
+      throw new Error(`Config version ${from ? toVersion : fromVersion} is not in history`);
+    }
+    return diffConfig(from.config, to.config);
+  }
+  
+  getConfigHistory() {
+    return this.configHistory.list();
+  }
+
+  // New WThomas from a named preset file (BLF Enhancements/presets/research.njson, ...)
+  static fromPreset(name, loader = new PresetLoader()) {
+    const { preset } = loader.load(name);
+    return new WThomas(presetToWThomas(preset, WThomas.prototype.getDefaultConfig()));
+  }
+
+  // Merge a preset into the running config as a recorded update
+  async applyPreset(name, loader = new PresetLoader()) {
+    const { preset } = loader.load(name);
+    return this.updateConfig(presetToWThomas(preset), { reason: `preset ${name}` });
+  }
+
+  // Apply a preset now and again whenever its files change; returns the watcher ({ close })
+  // Reloads merge onto the config from before the preset, so keys removed from the file stop applying
+  async watchPreset(name, loader = new PresetLoader()) {
+    const base = cloneConfig(this.config);
+    await this.applyPreset(name, loader);
+    return loader.watch(name, ({ preset }) =>
+      this.updateConfig(presetToWThomas(preset), { base, reason: `preset ${name} reloaded` })
+    );
+  }
+
+  // Canonical alignment, or the alignment written in "blf" / "agents" / "wthomas" format
+  getAlignment(format = null) {
+    return format
+      ? convertAlignment(this.config, format, { from: "wthomas" })
+      : toCanonicalAlignment(this.config, "wthomas");
+  }
+  
+  // Schema check: { valid, errors: [{ path, kind, message }] }
+  validateConfig(config = this.config) {
+    return validateConfig(config);
+  }
+  
   // Adjust cognitive alignment parameters
-  async adjustCognitiveAlignment(parameters) {
+  async adjustCognitiveAlignment(parameters, options = {}) {
     try {
       // Create new cognitive alignment config
       const newAlignment = {
@@ -1477,7 +1944,7 @@ class WThomas {
           ...this.config.quantumSpeed,
           level: Math.min(newAlignment.aiCognitiveCapabilities, this.config.quantumSpeed.level)
         }
-      });
+      }, { reason: "cognitive alignment", ...options });
     } catch (error) {
       console.error("Failed to adjust cognitive alignment:", error);
       return false;
@@ -1485,57 +1952,80 @@ class WThomas {
   }
   
   // Add branching theory processing methods
+  // Synchronous: generates, expands and merges the whole branch tree in one pass
   applyBranchingTheory(input) {
     if (!this.config.branchingTheory.enabled) {
       return input;
     }
 
-    // Generate and process branches in a single pass
     const branches = this.generateBranches(input);
-    const processedBranches = branches.map(branch => {
-      const branchConfig = branch.config;
-      
-      // Apply quantum processing if enabled
-      if (branchConfig.quantumSpeed.allowJumps) {
-        branch.quantumProcessed = this.applyQuantumJumps({
-          original: branch.concept,
-          connections: branch.connections,
-          config: branchConfig
-        });
-      }
+    this.expandBranches(branches);
+    return this.mergeBranchTree(input, branches);
+  }
 
-      // Apply validation and protocols
-      if (this.config.branchingTheory.branchValidation.requireHeatShield) {
-        branch.connections = this.applyHeatShield(branch.connections);
-      }
+  // Same result as applyBranchingTheory, but yields to the event loop before each branch
+  // so a long tree doesn't block other work (processStream uses this)
+  async applyBranchingTheoryAsync(input, { signal } = {}) {
+    if (!this.config.branchingTheory.enabled) {
+      return input;
+    }
 
-      if (this.config.branchingTheory.branchValidation.enforceCognitiveAlignment) {
-        branch.alignmentValid = this.validateBranchAlignment(branch);
-      }
+    const branches = this.generateBranches(input);
+    await this.expandBranchesAsync(branches, signal);
+    return this.mergeBranchTree(input, branches);
+  }
 
-      branch.responseProtocols = branchConfig.responseProtocols;
-      return branch;
+  // Process each branch and grow its children, depth-first, down to branchDepth
+  expandBranches(branches) {
+    branches.forEach(branch => {
+      this.processBranch(branch);
+      branch.children = this.spawnChildBranches(branch);
+      this.expandBranches(branch.children);
     });
+    return branches;
+  }
 
-    // Merge valid branches
-    const validBranches = processedBranches.filter(branch => 
-      branch.confidence >= this.config.branchingTheory.mergeThreshold &&
-      (!this.config.branchingTheory.branchValidation.enforceCognitiveAlignment || branch.alignmentValid)
-    );
+  // Branches still run one at a time; allowParallelProcessing only interleaves sibling
+  // subtrees instead of finishing each before the next. The tree (and merge) is the same either way
+  async expandBranchesAsync(branches, signal) {
+    const expand = async branch => {
+      await new Promise(resolve => setImmediate(resolve));
+      throwIfCancelled(signal);
+      this.processBranch(branch);
+      branch.children = this.spawnChildBranches(branch);
+      await this.expandBranchesAsync(branch.children, signal);
+    };
+
+    if (this.config.branchingTheory.allowParallelProcessing) {
+      await Promise.all(branches.map(expand));
+    } else {
+      for (const branch of branches) await expand(branch);
+    }
+    return branches;
+  }
 
-    // Sort by priority and merge
-    validBranches.sort((a, b) => 
-      this.config.branchingTheory.branches[a.type].priority - 
-      this.config.branchingTheory.branches[b.type].priority
+  // Merge an expanded tree: only alignment-valid nodes take part, combined by mergePolicy
+  mergeBranchTree(input, branches) {
+    const branching = this.config.branchingTheory;
+    const processedBranches = flattenBranches(branches);
+
+    const alignedBranches = processedBranches.filter(branch =>
+      !branching.branchValidation.enforceCognitiveAlignment || branch.alignmentValid?.valid !== false
     );
 
+    const merged = mergeBranches(alignedBranches, {
+      policy: branching.mergePolicy,
+      mergeThreshold: branching.mergeThreshold
+    });
+    const activeBranches = [...new Set(merged.nodes.map(branch => branch.type))];
+
     const mergedResult = {
-      connections: this.deduplicateConnections(
-        validBranches.flatMap(branch => branch.connections)
-      ).sort((a, b) => b.confidence - a.confidence),
-      activeBranches: validBranches.map(b => b.type),
+      policy: merged.policy,
+      connections: this.deduplicateConnections(merged.connections),
+      activeBranches,
+      // Keyed by reported type; configs are looked up by registry name
       branchConfigs: Object.fromEntries(
-        validBranches.map(branch => [branch.type, branch.config])
+        merged.nodes.map(branch => [branch.type, branching.branches[branch.name]?.config])
       )
     };
 
@@ -1545,101 +2035,137 @@ class WThomas {
         applied: true,
         branchCount: branches.length,
         processedBranches: processedBranches.length,
-        confidence: this.calculateBranchConfidence(processedBranches),
-        validation: this.validateBranches(processedBranches)
+        depth: Math.max(0, ...processedBranches.map(branch => branch.depth + 1)),
+        confidence: this.calculateBranchConfidence(processedBranches.flatMap(branch => branch.connections)),
+        validation: this.validateBranches(processedBranches),
+        tree: summarizeBranchTree(branches)
       },
       result: mergedResult
     };
   }
 
-  generateBranches(input) {
+  // Quantum jumps, heat shield and alignment validation for a single branch
+  processBranch(branch) {
+    const branchConfig = branch.config;
+    
+    // Apply quantum processing if enabled
+    if (branchConfig.quantumSpeed.allowJumps) {
+      branch.quantumProcessed = this.applyQuantumJumps({
+        original: branch.concept,
+        connections: branch.connections,
+        config: branchConfig
+      });
+    }
+
+    // Apply validation and protocols
+    if (this.config.branchingTheory.branchValidation.requireHeatShield) {
+      branch.connections = this.applyHeatShield(branch.connections);
+    }
+
+    if (this.config.branchingTheory.branchValidation.enforceCognitiveAlignment) {
+      branch.alignmentValid = this.validateBranchAlignment(branch);
+    }
+
+    branch.responseProtocols = branchConfig.responseProtocols;
+    return branch;
+  }
+
+  // Child branches follow the branch's connections one concept further, up to branchDepth
+  spawnChildBranches(branch) {
+    const branching = this.config.branchingTheory;
+    if (branch.depth + 1 >= (branching.branchDepth ?? 1)) return [];
+
+    return branch.connections
+      .filter(conn => !branch.path.includes(conn.to))
+      .slice(0, branching.maxBranches ?? Infinity)
+      .map(conn => this.createBranchNode(branch, conn.to, branch.depth + 1, branch.threshold, [...branch.path, conn.to]))
+      .filter(Boolean);
+  }
+
+  // Branch node for a concept; null when no connection clears the threshold
+  createBranchNode(definition, concept, depth, threshold, path = [ConceptGraph.normalize(concept)]) {
+    const connections = this.findConceptConnections(concept)
+      .filter(conn => !path.includes(conn.to))
+      .filter(conn => this.calculateConnectionConfidence(conn) >= threshold);
+    
+    if (connections.length === 0) return null;
+    
+    const type = definition.type || definition.name;
+    return {
+      type,
+      name: definition.name,  // Registry key, for looking the branch config back up
+      concept,
+      depth,
+      priority: definition.priority,
+      threshold,
+      path,
+      confidence: this.calculateBranchConfidence(connections),
+      connections: withProvenance(connections, `branch:${type}`),
+      quantumProcessed: false,
+      config: definition.config,
+      children: [],
+      // Optional AI metrics
+      ...(this.config.cognitiveAlignment.anthropicOptimization && {
+        aiMetrics: {
+          cognitiveAlignment: this.config.cognitiveAlignment,
+          quantumSpeed: this.config.quantumSpeed.level,
+          amfPersonality: this.config.AMF.personality
+        }
+      })
+    };
+  }
+
+  // Registry view over branchingTheory.branches (re-read each call so config updates apply)
+  getBranchRegistry() {
+    this.config.branchingTheory.branches = this.config.branchingTheory.branches || {};
+    return new BranchRegistry(this.config.branchingTheory.branches);
+  }
+  
+  // Register a branch at runtime: { config, priority, threshold, enabled }
+  registerBranch(name, definition) {
+    return this.getBranchRegistry().register(name, definition);
+  }
+  
+  unregisterBranch(name) {
+    if (this.currentBranch === name) this.currentBranch = null;
+    return this.getBranchRegistry().unregister(name);
+  }
+
+  generateBranches(input, depth = 0) {
     const branches = [];
+    const branching = this.config.branchingTheory;
+    
+    // Nothing to generate past the configured depth
+    if (depth >= (branching.branchDepth ?? 1)) return branches;
+    
     const concepts = this.extractConcepts(input.original);
     const primaryConcept = concepts[0];
     
-    // Flexible branch validation with AI awareness
-    const validateBranch = (type, config) => {
-      if (!config || !config.enabled) return false;
-      if (!config.quantumSpeed || !config.responseProtocols) return false;
+    // Optional AI alignment check shared by every branch
+    const aligned = () => {
+      if (!this.config.cognitiveAlignment.anthropicOptimization) return true;
       
-      // Optional AI alignment check
-      if (this.config.cognitiveAlignment.anthropicOptimization) {
-        const aiC = this.config.cognitiveAlignment.aiCognitiveCapabilities;
-        const bmQs = this.config.cognitiveAlignment.booleanMindQuantumSpeed;
-        const buffer = this.config.cognitiveAlignment.safetyBuffer;
-        
-        if (Math.abs((aiC + buffer) - bmQs) > 0.0001) {
-          return false;
-        }
-      }
-      
-      return true;
+      const aiC = this.config.cognitiveAlignment.aiCognitiveCapabilities;
+      const bmQs = this.config.cognitiveAlignment.booleanMindQuantumSpeed;
+      const buffer = this.config.cognitiveAlignment.safetyBuffer;
+      return Math.abs((aiC + buffer) - bmQs) <= 0.0001;
     };
-
-    // Process family/friends branch
-    const familyConfig = this.config.branchingTheory.branches.familyFriends;
-    if (validateBranch('family_friends', familyConfig)) {
-      const familyConnections = this.findConceptConnections(primaryConcept)
-        .filter(conn => {
-          const confidence = this.calculateConnectionConfidence(conn);
-          // Flexible threshold with AI awareness
-          const threshold = this.config.cognitiveAlignment.anthropicOptimization ? 
-            (this.config.AMF.personality * 0.7) : 0.7;
-          return confidence >= threshold;
-        });
+    
+    const registry = this.getBranchRegistry();
+    const maxBranches = branching.maxBranches ?? Infinity;
+    
+    // Highest priority first, until maxBranches branches produced connections
+    for (const branch of registry.enabled()) {
+      if (branches.length >= maxBranches) break;
+      if (!registry.isProcessable(branch) || !aligned()) continue;
       
-      if (familyConnections.length > 0) {
-        branches.push({
-          type: 'family_friends',
-          concept: primaryConcept,
-          depth: 0,
-          confidence: this.calculateBranchConfidence(familyConnections),
-          connections: familyConnections,
-          quantumProcessed: false,
-          config: familyConfig.config,
-          // Optional AI metrics
-          ...(this.config.cognitiveAlignment.anthropicOptimization && {
-            aiMetrics: {
-              cognitiveAlignment: this.config.cognitiveAlignment,
-              quantumSpeed: this.config.quantumSpeed.level,
-              amfPersonality: this.config.AMF.personality
-            }
-          })
-        });
-      }
-    }
-
-    // Process professional branch
-    const professionalConfig = this.config.branchingTheory.branches.professional;
-    if (validateBranch('professional', professionalConfig)) {
-      const professionalConnections = this.findConceptConnections(primaryConcept)
-        .filter(conn => {
-          const confidence = this.calculateConnectionConfidence(conn);
-          // Flexible threshold with AI awareness
-          const threshold = this.config.cognitiveAlignment.anthropicOptimization ? 
-            (this.config.AMF.personality * 0.8) : 0.8;
-          return confidence >= threshold;
-        });
+      // Per-branch threshold, scaled by personality with AI awareness
+      const baseThreshold = branch.threshold ?? branching.branchConfidence;
+      const threshold = this.config.cognitiveAlignment.anthropicOptimization ?
+        (this.config.AMF.personality * baseThreshold) : baseThreshold;
       
-      if (professionalConnections.length > 0) {
-        branches.push({
-          type: 'professional',
-          concept: primaryConcept,
-          depth: 0,
-          confidence: this.calculateBranchConfidence(professionalConnections),
-          connections: professionalConnections,
-          quantumProcessed: false,
-          config: professionalConfig.config,
-          // Optional AI metrics
-          ...(this.config.cognitiveAlignment.anthropicOptimization && {
-            aiMetrics: {
-              cognitiveAlignment: this.config.cognitiveAlignment,
-              quantumSpeed: this.config.quantumSpeed.level,
-              amfPersonality: this.config.AMF.personality
-            }
-          })
-        });
-      }
+      const node = this.createBranchNode(branch, primaryConcept, depth, threshold);
+      if (node) branches.push(node);
     }
 
     return branches;
@@ -1666,6 +2192,19 @@ class WThomas {
     return Math.min(1, averageConfidence * consistencyFactor * quantumFactor);
   }
 
+  // Summarise branch validation for the branchingTheory result
+  validateBranches(branches) {
+    const invalid = branches
+      .filter(branch => branch.alignmentValid && branch.alignmentValid.valid === false)
+      .map(branch => branch.type);
+    
+    return {
+      valid: invalid.length === 0,
+      checked: branches.length,
+      invalid
+    };
+  }
+
   validateBranchAlignment(branch) {
     const quantumLevel = this.config.quantumSpeed.level;
     const maxAllowedConnections = Math.floor(quantumLevel * 10);
@@ -1705,7 +2244,26 @@ class WThomas {
   }
 
   // Add dynamic AMF breathing methods
+  // Guarded: breathing adjusts alignment, and alignment validation can trigger breathing
   async breatheAMF() {
+    if (this.breathingInProgress) {
+      return true;
+    }
+    
+    this.breathingInProgress = true;
+    try {
+      return await this.breatheAMFUnguarded();
+    } finally {
+      this.breathingInProgress = false;
+    }
+  }
+  
+  // Kept for FixedWThomas callers
+  async breatheAMFSafe() {
+    return this.breatheAMF();
+  }
+  
+  async breatheAMFUnguarded() {
     const currentTime = Date.now();
     const timeSinceLastSync = currentTime - this.lastSyncCheck;
     
@@ -1743,11 +2301,12 @@ class WThomas {
     };
     
     // Direct adjustment application
-    await this.adjustCognitiveAlignment(adjustments.cognitiveAlignment);
+    // Breathing drift is not a tuning step, so it stays out of config history
+    await this.adjustCognitiveAlignment(adjustments.cognitiveAlignment, { record: false });
     this.quantumState = { ...this.quantumState, ...adjustments.quantum };
     
     // No fog timestamp
-    this.lastSyncCheck = currentTime + (Math.random() * 1000);
+    this.lastSyncCheck = currentTime + (this.random() * 1000);
     
     return true;
   }
@@ -1759,14 +2318,12 @@ class WThomas {
     // Pure concept extraction
     const concepts = this.extractConcepts(input);
     
-    // No fog domain jump
-    const domains = [
-      "music", "science", "philosophy", "art", "technology", 
-      "history", "psychology", "literature", "mathematics"
-    ];
+    // No fog domain jump - prefer domains the concept graph reaches from this input
+    const reachable = this.conceptGraph.jumpDomains(concepts);
+    const domains = reachable.length > 0 ? reachable : DOMAINS;
     
     // Direct jump target
-    const targetDomain = domains[Math.floor(Math.random() * domains.length)];
+    const targetDomain = pick(this.random, domains);
     
     // Pure jump power
     if (power === 3) {
@@ -1824,8 +2381,8 @@ class WThomas {
     // Connection density as complexity indicator
     const uniqueConcepts = new Set();
     connections.forEach(conn => {
-      uniqueConcepts.add(conn.fromConcept);
-      uniqueConcepts.add(conn.toConcept);
+      uniqueConcepts.add(conn.from);
+      uniqueConcepts.add(conn.to);
     });
     
     const connectionDensity = connections.length / uniqueConcepts.size;